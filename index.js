@@ -4,565 +4,6067 @@ const ffmpeg = require('fluent-ffmpeg');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const util = require('util');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { Transform, pipeline } = require('stream');
+const archiver = require('archiver');
+const swaggerUiDist = require('swagger-ui-dist');
 
 const app = express();
 const PORT = process.env.PORT || 42162;
+const SERVICE_VERSION = require('./package.json').version;
+
+// Allowed browser origins (CORS_ORIGINS, comma-separated); unset allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : '*',
+  exposedHeaders: ['X-Request-Id', 'X-Job-Id', 'X-Screenshot-Time', 'X-Screenshot-Source', 'Retry-After']
+}));
 app.use(express.json());
 
-// Request logging middleware
+// Logging
+// Lines are written as `[timestamp] message` through `logger`. LOG_FORMAT=json writes each line as a
+// JSON object instead; the request (and job) a line belongs to is taken from the async context, so
+// the start line, ffmpeg command lines and completion line of a request all carry the same requestId.
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const logContext = new AsyncLocalStorage();
+
+function writeJsonLog(stream, level, args) {
+  // The [timestamp] prefix is usually the request's start time; `time` is when the line was written
+  const message = util.format(...args).replace(/^\[[^\]]+\] /, '');
+  const { requestId, jobId } = logContext.getStore() || {};
+  stream.write(JSON.stringify({ time: new Date().toISOString(), level, requestId, jobId, msg: message }) + '\n');
+}
+
+const logger = {
+  info: (...args) => (LOG_FORMAT === 'json' ? writeJsonLog(process.stdout, 'info', args) : console.log(...args)),
+  error: (...args) => (LOG_FORMAT === 'json' ? writeJsonLog(process.stderr, 'error', args) : console.error(...args))
+};
+
+// Metrics
+// A small in-process registry rendered in the Prometheus text format by GET /metrics.
+// Counters and histograms are updated as things happen; gauges are read when scraped.
+const metrics = [];
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+const SPEED_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+function defineMetric(type, name, help, options = {}) {
+  const metric = { type, name, help, buckets: options.buckets, collect: options.collect, series: new Map() };
+  metrics.push(metric);
+  return metric;
+}
+
+function metricSeries(metric, labels) {
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { labels, value: 0, bucketCounts: metric.buckets?.map(() => 0), sum: 0, count: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function incrementMetric(metric, labels = {}, amount = 1) {
+  metricSeries(metric, labels).value += amount;
+}
+
+function observeMetric(metric, labels, value) {
+  const series = metricSeries(metric, labels);
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) series.bucketCounts[index]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    if (metric.collect) {
+      lines.push(`${metric.name} ${metric.collect()}`);
+      continue;
+    }
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatMetricLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.bucketCounts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatMetricLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+const httpRequestsTotal = defineMetric('counter', 'ffmpeg_api_http_requests_total', 'HTTP requests by route and status');
+const httpRequestDuration = defineMetric('histogram', 'ffmpeg_api_http_request_duration_seconds', 'HTTP request latency by route and status', { buckets: LATENCY_BUCKETS });
+const httpReceivedBytes = defineMetric('counter', 'ffmpeg_api_http_received_bytes_total', 'Request body bytes received by route');
+const httpSentBytes = defineMetric('counter', 'ffmpeg_api_http_sent_bytes_total', 'Response bytes sent (headers included) by route');
+const ffmpegFailuresTotal = defineMetric('counter', 'ffmpeg_api_ffmpeg_failures_total', 'Failed ffmpeg processes by job type and error class');
+const ffmpegSpeedRatio = defineMetric('histogram', 'ffmpeg_api_ffmpeg_speed_ratio', 'Encode speed as reported by ffmpeg (media seconds per wall-clock second) by job type', { buckets: SPEED_BUCKETS });
+const jobsTotal = defineMetric('counter', 'ffmpeg_api_jobs_total', 'Finished jobs by type and final state');
+let activeFfmpegProcesses = 0;
+defineMetric('gauge', 'ffmpeg_api_ffmpeg_processes', 'ffmpeg processes currently running', { collect: () => activeFfmpegProcesses });
+defineMetric('gauge', 'ffmpeg_api_jobs_running', 'Jobs currently running', { collect: () => runningJobs });
+defineMetric('gauge', 'ffmpeg_api_jobs_queued', 'Jobs waiting for a free slot', { collect: () => jobQueue.length });
+
+// Rough class of an ffmpeg failure, for the failures metric
+const FFMPEG_ERROR_CLASSES = [
+  ['killed', /killed with signal/],
+  ['input_stream', /^Input stream error/],
+  ['output_stream', /^Output stream error/],
+  ['invalid_input', /Invalid data found|moov atom not found|Could not find codec parameters|does not contain any stream|No such file or directory|matches no streams/i],
+  ['unsupported', /is not available|Unknown encoder|Unknown decoder|Encoder not found|Unrecognized option|not currently supported|Unable to find a suitable output format/i],
+  ['filter', /Error (re)?initializing (complex )?filters?|No such filter|Error parsing filterchain/i],
+  ['resources', /No space left on device|Cannot allocate memory|Permission denied/i],
+  ['spawn', /Cannot find ffmpeg|spawn/i]
+];
+
+function classifyFfmpegError(err) {
+  const match = FFMPEG_ERROR_CLASSES.find(([, pattern]) => pattern.test(err.message));
+  return match ? match[0] : 'other';
+}
+
+// Every ffmpeg command is created here, so processes, failures and encode speed are counted for
+// all routes and the stderr of failed runs is kept for the error response
+function createFfmpegCommand(input) {
+  const command = ffmpeg(input);
+  // Commands are built by the request or job that runs them
+  const type = jobs.get(logContext.getStore()?.jobId)?.type || 'request';
+  let started = false;
+  let speed = null;
+
+  // Registered before the route's own handlers, which may already finish the request or job
+  command.on('start', () => {
+    started = true;
+    activeFfmpegProcesses++;
+  });
+  // ffmpeg reports its own speed on each progress line, e.g. "... time=00:00:05.00 ... speed=2.5x"
+  command.on('stderr', (line) => {
+    const match = /speed=\s*([\d.]+)x/.exec(line);
+    if (match) speed = Number(match[1]);
+  });
+  command.on('end', () => {
+    if (started) activeFfmpegProcesses--;
+    if (speed > 0) observeMetric(ffmpegSpeedRatio, { type }, speed);
+  });
+  command.on('error', (err, stdout, stderr) => {
+    if (started) activeFfmpegProcesses--;
+    incrementMetric(ffmpegFailuresTotal, { type, class: classifyFfmpegError(err) });
+    // Remembered for the error response of the request or job this command belongs to
+    const context = logContext.getStore();
+    if (context) context.ffmpegError = { message: err.message, stderr: stderrTail(stderr) };
+  });
+  return command;
+}
+
+// Metric label for a request: its route pattern, so IDs in paths don't create new series
+function routeLabel(req) {
+  if (req.route) return req.baseUrl + req.route.path;
+  if (req.path.startsWith('/packages/')) return '/packages';
+  if (req.path.startsWith('/pipelines/')) return '/pipelines';
+  // Requests rejected before reaching their route (auth, limits) still count against it
+  return API_ROUTES.some((route) => route.path === req.path) ? req.path : 'unmatched';
+}
+
+// Request logging and request IDs
+// Every request gets an ID: the caller's X-Request-Id if it looks sane, otherwise a new UUID. It is
+// sent back in X-Request-Id and attached to every JSON log line written for the request.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
   const method = req.method;
   const url = req.url;
   const userAgent = req.get('User-Agent') || 'Unknown';
   const clientIP = req.ip || req.connection.remoteAddress || 'Unknown';
-  
-  // Log request start
-  console.log(`[${timestamp}] ${method} ${url} - IP: ${clientIP} - User-Agent: ${userAgent}`);
-  
-  // Log file upload info if present
-  if (req.files || (req.file && req.route)) {
-    console.log(`[${timestamp}] File upload detected on ${url}`);
-  }
+  const requestId = req.get('X-Request-Id');
 
-  // Capture response details
-  const originalSend = res.send;
-  const originalDownload = res.download;
-  
-  res.send = function(data) {
-    const responseTime = Date.now() - req.startTime;
-    const statusCode = res.statusCode;
-    const contentLength = data ? Buffer.byteLength(data, 'utf8') : 0;
-    
-    console.log(`[${timestamp}] ${method} ${url} - ${statusCode} - ${contentLength} bytes - ${responseTime}ms`);
-    
-    originalSend.call(this, data);
-  };
-  
-  res.download = function(path, callback) {
+  req.id = REQUEST_ID_PATTERN.test(requestId || '') ? requestId : crypto.randomUUID();
+  req.startTime = Date.now();
+  res.set('X-Request-Id', req.id);
+
+  // The socket may be reused by later requests, so count only what moves while this one is open
+  const socket = req.socket;
+  const bytesReadAtStart = socket.bytesRead;
+  const bytesWrittenAtStart = socket.bytesWritten;
+
+  res.on('close', () => {
     const responseTime = Date.now() - req.startTime;
-    console.log(`[${timestamp}] ${method} ${url} - File download started - Total processing time: ${responseTime}ms`);
-    
-    originalDownload.call(this, path, callback);
-  };
+    const status = res.writableFinished ? String(res.statusCode) : 'aborted';
+    const sent = socket.bytesWritten - bytesWrittenAtStart;
+    const route = routeLabel(req);
 
-  req.startTime = Date.now();
-  next();
+    logger.info(`[${timestamp}] ${method} ${url} - ${status} - ${sent} bytes - ${responseTime}ms`);
+    incrementMetric(httpRequestsTotal, { method, route, status });
+    observeMetric(httpRequestDuration, { method, route, status }, responseTime / 1000);
+    incrementMetric(httpReceivedBytes, { route }, socket.bytesRead - bytesReadAtStart);
+    incrementMetric(httpSentBytes, { route }, sent);
+  });
+
+  logContext.run({ requestId: req.id }, () => {
+    // Body parsers and multer continue from request stream events, which would otherwise run
+    // outside this request's context
+    req.emit = AsyncResource.bind(req.emit.bind(req));
+
+    logger.info(`[${timestamp}] ${method} ${url} - IP: ${clientIP} - User-Agent: ${userAgent}`);
+    next();
+  });
 });
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+// Errors
+// Every error response has the same shape:
+//   { "error": { "code": "INVALID_REQUEST", "message": "...", "source": "user", "details": null } }
+// `source` is `user` for problems with the request itself (4xx), `ffmpeg` when ffmpeg failed (the
+// details then carry the end of its stderr) and `server` for anything else.
+const ERROR_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'REMOTE_ERROR',
+  503: 'UNAVAILABLE',
+  504: 'REMOTE_TIMEOUT',
+  507: 'INSUFFICIENT_STORAGE'
+};
+const STDERR_TAIL_LINES = 20;
+
+// `ffmpegError` is what the ffmpeg run wrapper recorded for the request or job, if anything
+function buildError(statusCode, message, { code, details = null, ffmpegError = null } = {}) {
+  if (statusCode < 500) {
+    return { code: code || ERROR_CODES[statusCode] || 'INVALID_REQUEST', message, source: 'user', details };
   }
-});
+  if (ffmpegError) {
+    return { code: code || 'FFMPEG_FAILED', message, source: 'ffmpeg', details: { ...details, stderr: ffmpegError.stderr } };
+  }
+  return { code: code || ERROR_CODES[statusCode] || 'INTERNAL_ERROR', message, source: 'server', details };
+}
 
-const upload = multer({ storage });
+function sendError(res, statusCode, message, options = {}) {
+  const ffmpegError = logContext.getStore()?.ffmpegError;
+  return res.status(statusCode).json({ error: buildError(statusCode, message, { ffmpegError, ...options }) });
+}
 
-// Ensure output directory exists
-const outputDir = 'outputs';
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir);
+// The last meaningful lines of ffmpeg's stderr (progress lines dropped)
+function stderrTail(stderr) {
+  return String(stderr || '')
+    .split(/\r\n|\r|\n/)
+    .filter((line) => line.trim() && !/^\s*(frame|size)=/.test(line))
+    .slice(-STDERR_TAIL_LINES);
 }
 
-// Routes
-app.get('/', (req, res) => {
-  res.json({
-    message: 'FFmpeg RESTful API',
-    endpoints: {
-      'GET /': 'API information',
-      'GET /health': 'Health check endpoint',
-      'POST /convert': 'Convert media file (supports format parameter)',
-      'POST /info': 'Get media file information',
-      'POST /probe': 'Get complete media metadata via ffprobe (supports URL parameter and thumbnail generation)',
-      'POST /random-screenshot': 'Generate random screenshot from video (supports format: jpg, jpeg, png, webp, avif)',
-      'POST /remove-letterbox': 'Remove black bars (letterbox/pillarbox) from video'
-    },
-    examples: {
-      convert: 'curl -X POST -F "file=@video.mp4" -F "format=webm" /convert',
-      screenshot: 'curl -X POST -F "file=@video.mp4" -F "format=avif" /random-screenshot',
-      info: 'curl -X POST -F "file=@video.mp4" /info',
-      probe: 'curl -X POST -H "Content-Type: application/json" -d \'{"url":"https://example.com/video.mp4"}\' /probe',
-      'probe-thumbnail': 'curl -X POST -H "Content-Type: application/json" -d \'{"url":"https://example.com/video.mp4","thumbnail":true,"format":"jpg"}\' /probe',
-      'remove-letterbox': 'curl -X POST -F "file=@video.mp4" /remove-letterbox'
-    }
-  });
-});
+// Authentication and quotas
+// Keys come from API_KEYS (comma-separated) and/or API_KEYS_FILE. With no keys configured the
+// API stays open. Each key gets its own limits; missing limits fall back to the API_* defaults.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || 'api-keys.json';
+const DEFAULT_KEY_LIMITS = {
+  requestsPerMinute: parseInt(process.env.API_RATE_LIMIT, 10) || 60,
+  concurrentJobs: parseInt(process.env.API_MAX_CONCURRENT_JOBS, 10) || 2,
+  maxUploadBytes: parseInt(process.env.API_MAX_UPLOAD_BYTES, 10) || 2 * 1024 * 1024 * 1024,
+  processingSecondsPerDay: parseInt(process.env.API_DAILY_PROCESSING_SECONDS, 10) || 0
+};
+const KEY_LIMIT_FIELDS = Object.keys(DEFAULT_KEY_LIMITS);
+// Paths that never need a key (health checks, the API index and its documentation).
+// /metrics is not one of them: scrapers send a key like any other client.
+const PUBLIC_PATHS = ['/', '/health', '/health/live', '/health/ready', '/openapi.json', '/docs', '/docs/swagger-ui.css', '/docs/swagger-ui-bundle.js'];
+// Retry-After for requests rejected because the key already has too many jobs
+const CONCURRENCY_RETRY_AFTER = 10;
 
-// Health check endpoint (绿灯测试)
-app.get('/health', (req, res) => {
-  const healthCheck = {
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    service: 'FFmpeg RESTful API',
-    version: '1.2.0',
-    environment: process.env.NODE_ENV || 'development',
-    memory: {
-      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
-      external: Math.round(process.memoryUsage().external / 1024 / 1024)
-    },
-    system: {
-      platform: process.platform,
-      arch: process.arch,
-      nodeVersion: process.version
+// Returns a Map of key -> { name, key, ...limits }
+function loadApiKeys() {
+  const timestamp = new Date().toISOString();
+  const entries = (process.env.API_KEYS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean)
+    .map((key, index) => ({ name: `env-${index + 1}`, key }));
+
+  // [{ "name": "backend", "key": "...", "requestsPerMinute": 120, ... }]
+  if (fs.existsSync(API_KEYS_FILE)) {
+    try {
+      entries.push(...JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')));
+      logger.info(`[${timestamp}] Loaded API keys from ${API_KEYS_FILE}`);
+    } catch (err) {
+      logger.error(`[${timestamp}] Failed to load API keys from ${API_KEYS_FILE}: ${err.message}`);
     }
-  };
+  }
 
-  // 检查 FFmpeg 是否可用
-  const ffmpeg = require('fluent-ffmpeg');
-  
-  ffmpeg.getAvailableFormats((err, formats) => {
-    if (err) {
-      healthCheck.status = 'ERROR';
-      healthCheck.ffmpeg = {
-        available: false,
-        error: err.message
-      };
-      return res.status(503).json(healthCheck);
+  const keys = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.key !== 'string' || !entry.key) {
+      logger.error(`[${timestamp}] Ignoring API key entry ${index + 1}: missing key`);
+      return;
     }
-    
-    healthCheck.ffmpeg = {
-      available: true,
-      formatsCount: Object.keys(formats).length
-    };
-    
-    res.status(200).json(healthCheck);
+    const limits = {};
+    for (const field of KEY_LIMIT_FIELDS) {
+      const value = entry[field] ?? DEFAULT_KEY_LIMITS[field];
+      limits[field] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_KEY_LIMITS[field];
+    }
+    keys.set(entry.key, { name: entry.name || `key-${index + 1}`, key: entry.key, ...limits });
   });
-});
+  return keys;
+}
 
-// Get complete media metadata via ffprobe (supports URL and thumbnail generation)
-app.post('/probe', (req, res) => {
-  const timestamp = new Date().toISOString();
-  const { url, thumbnail, format = 'jpg', time } = req.body;
+const apiKeys = loadApiKeys();
 
-  if (!url) {
-    console.log(`[${timestamp}] PROBE request failed: No URL provided`);
-    return res.status(400).json({ error: 'No URL provided. Please provide a "url" parameter in the request body.' });
+// Per-key usage: requests in the current minute and processing seconds in the current UTC day
+const apiKeyUsage = new Map();
+
+function usageFor(apiKey) {
+  const now = Date.now();
+  const day = new Date(now).toISOString().slice(0, 10);
+  let usage = apiKeyUsage.get(apiKey.name);
+  if (!usage) {
+    usage = { windowStart: now, requests: 0, day, processingSeconds: 0 };
+    apiKeyUsage.set(apiKey.name, usage);
+  }
+  if (now - usage.windowStart >= 60000) {
+    usage.windowStart = now;
+    usage.requests = 0;
   }
+  if (usage.day !== day) {
+    usage.day = day;
+    usage.processingSeconds = 0;
+  }
+  return usage;
+}
 
-  console.log(`[${timestamp}] Processing PROBE request - URL: ${url}${thumbnail ? ` (with thumbnail: ${format})` : ''}`);
+// Charge processing time to a key (no-op when auth is disabled)
+function recordProcessingTime(apiKey, seconds) {
+  if (apiKey) {
+    usageFor(apiKey).processingSeconds += seconds;
+  }
+}
 
-  // Use ffprobe directly to get complete metadata (equivalent to: ffprobe -v quiet -print_format json -show_format -show_streams)
-  ffmpeg.ffprobe(url, (err, metadata) => {
-    if (err) {
-      console.log(`[${timestamp}] PROBE request failed: ${err.message}`);
-      return res.status(500).json({ error: err.message });
-    }
+function secondsUntilNextDay() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
 
-    const duration = metadata.format?.duration || 0;
-    const streams = metadata.streams?.length || 0;
-    console.log(`[${timestamp}] PROBE metadata retrieved - Duration: ${duration}s, Streams: ${streams}`);
+function activeJobCount(apiKey) {
+  let count = 0;
+  for (const job of jobs.values()) {
+    if (job.apiKey === apiKey && ['queued', 'running'].includes(job.state)) count++;
+  }
+  return count;
+}
 
-    // If thumbnail is requested, generate it
-    if (thumbnail) {
-      const supportedFormats = ['jpg', 'jpeg', 'png', 'webp', 'avif'];
-      const thumbnailFormat = format.toLowerCase();
-      
-      if (!supportedFormats.includes(thumbnailFormat)) {
-        console.log(`[${timestamp}] PROBE thumbnail request failed: Unsupported format ${format}`);
-        return res.status(400).json({ 
-          error: `Unsupported thumbnail format: ${format}. Supported formats: ${supportedFormats.join(', ')}`,
-          metadata: metadata
-        });
-      }
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
 
-      // Determine the time to extract thumbnail (default: 1 second or middle of video)
-      let thumbnailTime = time;
-      if (thumbnailTime === undefined || thumbnailTime === null) {
-        thumbnailTime = duration > 2 ? 1 : duration / 2;
-      }
-      thumbnailTime = Math.max(0.1, Math.min(thumbnailTime, duration - 0.1));
+function rejectOverLimit(res, timestamp, apiKey, retryAfter, error) {
+  logger.info(`[${timestamp}] Key ${apiKey.name} over limit: ${error}`);
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, error);
+}
 
-      const outputFileName = `${Date.now()}-thumbnail.${thumbnailFormat}`;
-      const outputPath = path.join(outputDir, outputFileName);
-      
-      console.log(`[${timestamp}] Generating thumbnail at ${thumbnailTime.toFixed(2)}s from ${duration}s video`);
+app.use((req, res, next) => {
+  if (apiKeys.size === 0 || req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
 
-      // Create ffmpeg command to extract thumbnail
-      let command = ffmpeg(url)
-        .seekInput(thumbnailTime)
-        .frames(1);
+  const timestamp = new Date().toISOString();
+  const apiKey = apiKeys.get(readApiKey(req));
+  if (!apiKey) {
+    logger.info(`[${timestamp}] ${req.method} ${req.url} rejected: missing or invalid API key`);
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'Missing or invalid API key. Send it in the X-API-Key header.');
+  }
+  req.apiKey = apiKey;
+  // Jobs created by this request belong to the key (see createJob)
+  logContext.getStore().apiKeyName = apiKey.name;
 
-      // Set format-specific options
-      if (thumbnailFormat === 'avif') {
-        command = command
-          .outputOptions([
-            '-c:v', 'libaom-av1',
-            '-crf', '30',
-            '-cpu-used', '8'
-          ]);
-      } else if (thumbnailFormat === 'webp') {
-        command = command
-          .outputOptions([
-            '-c:v', 'libwebp',
-            '-quality', '80'
-          ]);
-      }
+  const usage = usageFor(apiKey);
+  if (apiKey.requestsPerMinute && usage.requests >= apiKey.requestsPerMinute) {
+    const retryAfter = Math.max(1, Math.ceil((usage.windowStart + 60000 - Date.now()) / 1000));
+    return rejectOverLimit(res, timestamp, apiKey, retryAfter, `Rate limit exceeded: ${apiKey.requestsPerMinute} requests per minute`);
+  }
+  usage.requests++;
 
-      // Extract frame at specified timestamp
-      command
-        .output(outputPath)
-        .on('start', (commandLine) => {
-          console.log(`[${timestamp}] FFmpeg thumbnail extraction started: ${commandLine}`);
-        })
-        .on('end', () => {
-          const outputStats = fs.statSync(outputPath);
-          console.log(`[${timestamp}] PROBE request completed - Thumbnail: ${outputStats.size} bytes (${thumbnailFormat})`);
-          
-          // Send the thumbnail file
-          res.download(outputPath, (err) => {
-            if (err) {
-              console.error(`[${timestamp}] Download error:`, err);
-            }
-            // Clean up output file after download
-            if (fs.existsSync(outputPath)) {
-              fs.unlinkSync(outputPath);
-            }
-          });
-        })
-        .on('error', (err) => {
-          console.log(`[${timestamp}] PROBE thumbnail generation failed: ${err.message}`);
-          // If thumbnail generation fails, still return metadata
-          res.status(500).json({ 
-            error: 'Failed to generate thumbnail: ' + err.message,
-            metadata: metadata
-          });
-        })
-        .run();
-    } else {
-      // Return metadata only
-      console.log(`[${timestamp}] PROBE request completed - Duration: ${duration}s, Streams: ${streams}`);
-      res.json(metadata);
+  // Quotas below only apply to requests that run ffmpeg
+  if (req.method !== 'POST') {
+    return next();
+  }
+  if (apiKey.processingSecondsPerDay && usage.processingSeconds >= apiKey.processingSecondsPerDay) {
+    return rejectOverLimit(res, timestamp, apiKey, secondsUntilNextDay(), `Daily processing quota exceeded: ${apiKey.processingSecondsPerDay} seconds per day`);
+  }
+  // Checked again when the job is created (respondWithJob), since uploads still in flight hold no slot yet
+  if (apiKey.concurrentJobs && activeJobCount(apiKey) >= apiKey.concurrentJobs) {
+    return rejectOverLimit(res, timestamp, apiKey, CONCURRENCY_RETRY_AFTER, `Too many concurrent jobs: at most ${apiKey.concurrentJobs}`);
+  }
+
+  // Jobs are charged when they complete; successful requests handled outside the job queue by their duration
+  res.on('finish', () => {
+    if (!res.get('X-Job-Id') && res.statusCode < 400) {
+      recordProcessingTime(apiKey, (Date.now() - req.startTime) / 1000);
     }
   });
+  next();
 });
 
-// Get media file information
-app.post('/info', upload.single('file'), (req, res) => {
-  const timestamp = new Date().toISOString();
+// Every file written to uploads/ or outputs/ gets a random prefix, so concurrent requests never collide
+function uniqueFileName(name) {
+  return `${crypto.randomUUID()}-${name}`;
+}
 
-  if (!req.file) {
-    console.log(`[${timestamp}] INFO request failed: No file uploaded`);
-    return res.status(400).json({ error: 'No file uploaded' });
+// Client-supplied names never contribute path separators or shell-unfriendly characters
+function safeFileName(name) {
+  return path.basename(String(name || 'upload')).replace(/[^\w.\-]/g, '_');
+}
+
+// Remove a file or directory if it exists. Cleanup failures are logged, never thrown, so a
+// missing or locked file cannot take the process down from an error handler.
+function removePath(target) {
+  if (!target) return;
+  try {
+    fs.rmSync(target, { recursive: true, force: true });
+  } catch (err) {
+    logger.error(`[${new Date().toISOString()}] Failed to remove ${target}: ${err.message}`);
   }
+}
+
+// Workspaces
+// Each request gets its own scratch directory, uploads/<id>/, created on first use. Uploads, remote
+// downloads and the temporary files a job needs all go there, so one removal cleans up everything:
+// when the response is finished or the client disconnects, or, for requests that queue a job, when
+// that job finishes. outputs/ only holds results that are waiting to be downloaded.
+const uploadDir = 'uploads';
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir);
+}
 
-  console.log(`[${timestamp}] Processing INFO request - File: ${req.file.originalname} (${req.file.size} bytes)`);
+const activeWorkspaces = new Set();
 
-  ffmpeg.ffprobe(req.file.path, (err, metadata) => {
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
+function workspaceFor(req) {
+  if (!req.workspace) {
+    req.workspace = path.join(uploadDir, crypto.randomUUID());
+    fs.mkdirSync(req.workspace);
+    activeWorkspaces.add(req.workspace);
+  }
+  return req.workspace;
+}
 
-    if (err) {
-      console.log(`[${timestamp}] INFO request failed: ${err.message}`);
-      return res.status(500).json({ error: err.message });
-    }
+// Hand the request's workspace over to a job, which releases it when it finishes
+function claimWorkspace(req) {
+  req.workspaceClaimed = true;
+  return workspaceFor(req);
+}
 
-    const duration = metadata.format?.duration || 0;
-    const streams = metadata.streams?.length || 0;
-    console.log(`[${timestamp}] INFO request completed - Duration: ${duration}s, Streams: ${streams}`);
+function releaseWorkspace(workspace) {
+  if (!workspace) return;
+  activeWorkspaces.delete(workspace);
+  removePath(workspace);
+}
 
-    res.json(metadata);
+app.use((req, res, next) => {
+  res.on('close', () => {
+    if (!req.workspaceClaimed) releaseWorkspace(req.workspace);
   });
+  next();
 });
 
-// Convert media file
-app.post('/convert', upload.single('file'), (req, res) => {
-  const timestamp = new Date().toISOString();
-  const processStartTime = Date.now();
-  
-  if (!req.file) {
-    console.log(`[${timestamp}] CONVERT request failed: No file uploaded`);
-    return res.status(400).json({ error: 'No file uploaded' });
-  }
+// Refuse new work while the volume holding uploads/ and outputs/ is nearly full
+const MIN_FREE_DISK_BYTES = parseInt(process.env.MIN_FREE_DISK_BYTES, 10) || 1024 * 1024 * 1024;
 
-  const { format = 'mp4' } = req.body;
-  const outputFileName = `${Date.now()}-output.${format}`;
-  const outputPath = path.join(outputDir, outputFileName);
+app.use((req, res, next) => {
+  if (req.method !== 'POST') return next();
 
-  console.log(`[${timestamp}] Processing CONVERT request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${format}`);
+  fs.statfs(uploadDir, (err, stats) => {
+    // If the free space can't be read, let the request through rather than block everything
+    if (err) return next();
 
-  ffmpeg(req.file.path)
-    .toFormat(format)
-    .on('start', (commandLine) => {
-      console.log(`[${timestamp}] FFmpeg conversion started: ${commandLine}`);
-    })
-    .on('progress', (progress) => {
-      if (progress.percent) {
-        const elapsed = ((Date.now() - processStartTime) / 1000).toFixed(1);
-        console.log(`[${timestamp}] Conversion progress: ${Math.round(progress.percent)}% - Elapsed: ${elapsed}s`);
-      }
-    })
-    .on('end', () => {
-      // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
-      
-      const totalProcessTime = ((Date.now() - processStartTime) / 1000).toFixed(1);
-      const outputStats = fs.statSync(outputPath);
-      console.log(`[${timestamp}] CONVERT request completed - Output: ${outputStats.size} bytes`);
-      console.log(`[${timestamp}] Total conversion time: ${totalProcessTime}s`);
-      
-      // Send the converted file
-      res.download(outputPath, (err) => {
-        if (err) {
-          console.error(`[${timestamp}] Download error:`, err);
-        }
-        // Clean up output file after download
-        fs.unlinkSync(outputPath);
-      });
-    })
-    .on('error', (err) => {
-      // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
-      console.log(`[${timestamp}] CONVERT request failed: ${err.message}`);
-      res.status(500).json({ error: err.message });
-    })
-    .save(outputPath);
+    const free = stats.bavail * stats.bsize;
+    const incoming = Number(req.get('Content-Length')) || 0;
+    if (free - incoming < MIN_FREE_DISK_BYTES) {
+      logger.info(`[${new Date().toISOString()}] ${req.method} ${req.url} rejected: ${free} bytes free, ${incoming} bytes incoming`);
+      return sendError(res, 507, 'Insufficient storage: the server is low on disk space, try again later');
+    }
+    next();
+  });
 });
 
-// Generate random screenshot from video
-app.post('/random-screenshot', upload.single('file'), (req, res) => {
-  const timestamp = new Date().toISOString();
-  
-  if (!req.file) {
-    console.log(`[${timestamp}] SCREENSHOT request failed: No file uploaded`);
-    return res.status(400).json({ error: 'No file uploaded' });
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, workspaceFor(req));
+  },
+  filename: (req, file, cb) => {
+    cb(null, uniqueFileName(safeFileName(file.originalname)));
   }
+});
 
-  // Get format parameter (default to jpg)
-  const format = req.body.format || 'jpg';
-  const supportedFormats = ['jpg', 'jpeg', 'png', 'webp', 'avif'];
-  
-  console.log(`[${timestamp}] Processing SCREENSHOT request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${format}`);
+// Upload size is limited per API key, so multer is set up per limit
+const uploaders = new Map();
+
+function uploaderFor(req) {
+  const maxBytes = uploadLimitFor(req);
+  if (!uploaders.has(maxBytes)) {
+    uploaders.set(maxBytes, multer({ storage, limits: maxBytes ? { fileSize: maxBytes } : {} }));
+  }
+  return uploaders.get(maxBytes);
+}
+
+const upload = {
+  single: (field) => (req, res, next) => uploaderFor(req).single(field)(req, res, next),
+  array: (field, maxCount) => (req, res, next) => uploaderFor(req).array(field, maxCount)(req, res, next),
+  fields: (fields) => (req, res, next) => uploaderFor(req).fields(fields)(req, res, next)
+};
+
+// Raw request bodies
+// Besides multipart uploads, single-file routes accept the media itself as the request body
+// (Content-Type video/*, audio/* or application/octet-stream) with the other parameters in the
+// query string. Containers that can be read front to back are handed to ffmpeg straight from the
+// request on routes that support it (synchronous requests only); anything else, such as MP4 whose
+// index may sit at the end of the file, is spooled to uploads/ first.
+const RAW_INPUT_TYPES = ['video/*', 'audio/*', 'application/octet-stream'];
+const STREAMABLE_INPUT_TYPES = [
+  'video/webm', 'audio/webm', 'video/x-matroska', 'video/mp2t', 'video/x-flv', 'video/mpeg', 'video/ogg',
+  'audio/mpeg', 'audio/ogg', 'audio/aac', 'audio/flac', 'audio/wav', 'audio/x-wav'
+];
+
+function uploadLimitFor(req) {
+  return req.apiKey ? req.apiKey.maxUploadBytes : DEFAULT_KEY_LIMITS.maxUploadBytes;
+}
+
+// Pass data through, failing with 413 once more than maxBytes have gone by
+function limitStream(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (maxBytes && received > maxBytes) {
+        const err = new Error(`Upload exceeds the maximum size of ${maxBytes} bytes`);
+        err.statusCode = 413;
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+function rawInput({ stream = false } = {}) {
+  return (req, res, next) => {
+    if (req.file || !req.is(RAW_INPUT_TYPES)) return next();
+
+    const timestamp = new Date().toISOString();
+    const reject = (err) => {
+      logger.info(`[${timestamp}] Raw upload failed: ${err.message}`);
+      sendError(res, err.statusCode || 400, err.message);
+    };
+
+    // Parameters of a raw upload travel in the query string
+    req.body = { ...req.query, ...req.body };
+    const maxBytes = uploadLimitFor(req);
+    const declaredSize = Number(req.get('Content-Length')) || null;
+    if (maxBytes && declaredSize > maxBytes) {
+      const tooLarge = new Error(`Upload exceeds the maximum size of ${maxBytes} bytes`);
+      tooLarge.statusCode = 413;
+      return reject(tooLarge);
+    }
+
+    const contentType = req.get('Content-Type').split(';')[0].trim().toLowerCase();
+    const extension = Object.keys(CONTENT_TYPES).find((candidate) => CONTENT_TYPES[candidate] === contentType) || '';
+    const originalname = req.query.filename ? safeFileName(req.query.filename) : `upload${extension}`;
+    const body = limitStream(maxBytes);
+
+    if (stream && STREAMABLE_INPUT_TYPES.includes(contentType) && !isAsyncRequest(req)) {
+      // A dropped connection or an oversized body fails the ffmpeg run reading this stream
+      pipeline(req, body, () => {});
+      logger.info(`[${timestamp}] Streaming raw input ${originalname} (${contentType}) into ffmpeg`);
+      req.file = { stream: body, originalname, size: declaredSize };
+      return next();
+    }
+
+    const filePath = path.join(workspaceFor(req), uniqueFileName(originalname));
+    const output = fs.createWriteStream(filePath);
+    pipeline(req, body, output, (err) => {
+      if (err) {
+        removePath(filePath);
+        return reject(err);
+      }
+      req.file = { path: filePath, originalname, size: output.bytesWritten };
+      next();
+    });
+  };
+}
+
+// Ensure output directory exists
+const outputDir = 'outputs';
+if (!fs.existsSync(outputDir)) {
+  fs.mkdirSync(outputDir);
+}
+
+// Job queue
+// Every ffmpeg-heavy request becomes a job so the number of concurrent ffmpeg
+// processes stays bounded. Async requests get the job ID back immediately and
+// poll /jobs/:id; sync requests simply wait for their job to finish.
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1;
+const JOB_RESULT_TTL = (parseInt(process.env.JOB_RESULT_TTL, 10) || 3600) * 1000;
+
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+// `files` is a multer file or an array of them (e.g. the inputs of /concat)
+function createJob(type, files, params, timestamp, processor) {
+  const inputFiles = [].concat(files);
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    state: 'queued',
+    progress: 0,
+    error: null,
+    // The error as sent to clients (see buildError)
+    errorInfo: null,
+    statusCode: null,
+    params,
+    timestamp,
+    // Jobs are created while handling their request, so its ID is still in the log context
+    requestId: logContext.getStore()?.requestId ?? null,
+    // Name of the API key that created the job (null without authentication); only that key can see it
+    owner: logContext.getStore()?.apiKeyName ?? null,
+    inputPath: inputFiles[0].path || null,
+    inputPaths: inputFiles.filter((file) => file.path).map((file) => file.path),
+    // Set instead of inputPath when ffmpeg reads a raw request body as it arrives
+    inputStream: inputFiles[0].stream || null,
+    originalName: inputFiles.map((file) => file.originalname).join(', '),
+    outputPath: null,
+    result: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    command: null,
+    commandLines: [],
+    outputSize: null,
+    outputTarget: null,
+    outputStream: null,
+    // Extra headers sent with the result (sync response and /jobs/:id/result)
+    responseHeaders: null,
+    // Scratch directory handed over by the request; removed with everything in it when the job finishes
+    workspace: null,
+    callbackUrl: null,
+    apiKey: null,
+    cancelRequested: false,
+    processor,
+    events: new EventEmitter()
+  };
+  // Any number of SSE clients may subscribe to the same job
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+  return job;
+}
+
+// Broadcast a structured event to everyone subscribed to /jobs/:id/events
+function emitJobEvent(job, type, data) {
+  // Keep every ffmpeg command line for the callback payload
+  if (type === 'start' && data.commandLine) {
+    job.commandLines.push(data.commandLine);
+  }
+  job.events.emit('event', { type, data: { jobId: job.id, ...data } });
+}
+
+// Shape fluent-ffmpeg progress info into a progress event
+function emitJobProgress(job, stage, progress) {
+  emitJobEvent(job, 'progress', {
+    stage,
+    percent: progress.percent !== undefined ? Math.round(progress.percent * 10) / 10 : null,
+    frames: progress.frames ?? null,
+    fps: progress.currentFps ?? null,
+    bitrate: progress.currentKbps ?? null,
+    timemark: progress.timemark ?? null
+  });
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    requestId: job.requestId,
+    progress: job.progress,
+    error: job.errorInfo,
+    file: job.originalName,
+    params: job.params,
+    queuePosition: job.state === 'queued' ? jobQueue.indexOf(job) + 1 : null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    resultUrl: job.state === 'completed' ? `/jobs/${job.id}/result` : null,
+    result: job.result
+  };
+}
+
+function enqueueJob(job) {
+  jobQueue.push(job);
+  logger.info(`[${job.timestamp}] JOB ${job.id} queued (${job.type}) - Running: ${runningJobs}/${MAX_CONCURRENT_JOBS}, Queued: ${jobQueue.length}`);
+  processJobQueue();
+}
+
+function processJobQueue() {
+  while (runningJobs < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    runningJobs++;
+    // A job may be started by another job finishing; log it under its own request
+    logContext.run({ requestId: job.requestId, jobId: job.id }, () => startJob(job));
+  }
+}
+
+function startJob(job) {
+  job.state = 'running';
+  job.startedAt = Date.now();
+  logger.info(`[${job.timestamp}] JOB ${job.id} started (${job.type})`);
+  emitJobEvent(job, 'state', { state: job.state });
+
+  job.processor(job, (err, outputPath, result) => {
+    // With an outputUrl the file is uploaded and the job's result becomes its location
+    if (!err && !result && outputPath && job.outputTarget && !job.cancelRequested) {
+      return deliverOutput(outputPath, job.outputTarget, job.timestamp, (deliveryError, delivered) => {
+        removePath(outputPath);
+        runningJobs--;
+        finishJob(job, deliveryError, null, delivered);
+        processJobQueue();
+      });
+    }
+
+    runningJobs--;
+    finishJob(job, err, outputPath, result);
+    processJobQueue();
+  });
+}
+
+// `outputPath` is the file (or directory) the job produced; `result` is an optional
+// JSON payload returned instead of downloading the output
+function finishJob(job, err, outputPath, result) {
+  job.finishedAt = Date.now();
+  job.command = null;
+
+  // The uploaded inputs and any scratch files are no longer needed once the job is done
+  for (const inputPath of job.inputPaths) {
+    removePath(inputPath);
+  }
+  releaseWorkspace(job.workspace);
+
+  if (job.cancelRequested) {
+    job.state = 'cancelled';
+    job.error = 'Job was cancelled';
+    job.statusCode = 409;
+    job.errorInfo = buildError(409, job.error, { code: 'JOB_CANCELLED' });
+    removePath(outputPath);
+  } else if (err) {
+    job.state = 'failed';
+    job.error = err.message;
+    job.statusCode = err.statusCode || 500;
+    job.errorInfo = buildError(job.statusCode, job.error, {
+      code: err.errorCode,
+      details: err.details,
+      ffmpegError: logContext.getStore()?.ffmpegError
+    });
+  } else {
+    job.state = 'completed';
+    job.progress = 100;
+    job.outputPath = outputPath;
+    job.result = result || null;
+    job.outputSize = result?.size ?? pathSize(outputPath);
+  }
+
+  incrementMetric(jobsTotal, { type: job.type, state: job.state });
+  // Only completed work counts against the key's daily quota
+  if (job.state === 'completed') {
+    recordProcessingTime(job.apiKey, (job.finishedAt - job.startedAt) / 1000);
+  }
+
+  const totalTime = ((job.finishedAt - job.createdAt) / 1000).toFixed(1);
+  logger.info(`[${job.timestamp}] JOB ${job.id} ${job.state}${job.error ? `: ${job.error}` : ''} - Total time: ${totalTime}s`);
+  emitJobEvent(job, job.state, {
+    error: job.errorInfo,
+    durationSeconds: Number(totalTime),
+    resultUrl: job.state === 'completed' ? `/jobs/${job.id}/result` : null
+  });
+  job.events.emit('done', job);
+
+  if (job.callbackUrl) {
+    sendJobCallback(job);
+  }
+}
+
+function cancelJob(job) {
+  job.cancelRequested = true;
+
+  if (job.state === 'queued') {
+    jobQueue.splice(jobQueue.indexOf(job), 1);
+    finishJob(job);
+  } else if (job.state === 'running' && job.command) {
+    // Killing ffmpeg makes the running command emit 'error', which finishes the job
+    job.command.kill('SIGKILL');
+  }
+}
+
+function removeJob(job) {
+  if (job.outputPath) {
+    removePath(job.outputPath);
+  }
+  jobs.delete(job.id);
+}
+
+// Boolean fields arrive as true/false from JSON and as 'true'/'false'/'1'/'0' from forms and query strings
+function booleanParam(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+}
+
+// Jobs of other keys are answered like unknown IDs, so job IDs cannot be probed across keys
+function findOwnedJob(req, id) {
+  const job = jobs.get(id);
+  return job && job.owner === (req.apiKey?.name ?? null) ? job : null;
+}
+
+// Files served from a job's directory (/packages/<jobId>/..., /pipelines/<jobId>/...) have the same owner as the job
+function requireJobOwner(req, res, next) {
+  if (!findOwnedJob(req, req.params.jobId)) {
+    return sendError(res, 404, 'Not found');
+  }
+  next();
+}
+
+function isAsyncRequest(req) {
+  return booleanParam(req.query.async ?? req.body.async);
+}
+
+// Either hand the job ID back right away (async) or wait for the job and send its output
+function respondWithJob(req, res, job, label) {
+  // The job counts towards its key's limit from here on; requests that passed the early check
+  // while their uploads were still arriving may now find every slot taken
+  job.apiKey = req.apiKey || null;
+  if (job.apiKey?.concurrentJobs && activeJobCount(job.apiKey) > job.apiKey.concurrentJobs) {
+    jobs.delete(job.id);
+    for (const inputPath of job.inputPaths) {
+      removePath(inputPath);
+    }
+    return rejectOverLimit(res, job.timestamp, job.apiKey, CONCURRENCY_RETRY_AFTER, `Too many concurrent jobs: at most ${job.apiKey.concurrentJobs}`);
+  }
+
+  res.set('X-Job-Id', job.id);
+  job.outputTarget = req.outputTarget || null;
+  job.outputStream = req.streamOutput ? res : null;
+  job.callbackUrl = req.callbackUrl || null;
+  job.workspace = claimWorkspace(req);
+
+  if (isAsyncRequest(req)) {
+    enqueueJob(job);
+    logger.info(`[${job.timestamp}] ${label} request accepted as async job ${job.id}`);
+    return res.status(202).json({
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/jobs/${job.id}`,
+      resultUrl: `/jobs/${job.id}/result`
+    });
+  }
+
+  // Nobody is waiting for a sync job once its client hangs up, so stop ffmpeg instead of finishing it
+  res.on('close', () => {
+    if (!job.finishedAt && !res.writableFinished) {
+      logger.info(`[${job.timestamp}] ${label} client disconnected, cancelling job ${job.id}`);
+      cancelJob(job);
+    }
+  });
+
+  job.events.once('done', () => {
+    if (job.state !== 'completed') {
+      jobs.delete(job.id);
+      // A streamed response that has already started can only be cut off
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.removeHeader('Content-Disposition');
+      return res.status(job.statusCode).json({ error: job.errorInfo });
+    }
+
+    // Streamed output has been written to the response as it was produced
+    if (job.outputStream) {
+      jobs.delete(job.id);
+      return;
+    }
+
+    if (job.responseHeaders) {
+      res.set(job.responseHeaders);
+    }
+    // Uploaded outputs and outputs served from a path are reported as JSON
+    if (job.result) {
+      return res.json({ jobId: job.id, ...job.result });
+    }
+
+    // Send the processed file
+    res.download(job.outputPath, (err) => {
+      if (err) {
+        logger.error(`[${job.timestamp}] Download error:`, err);
+      }
+      // Clean up output file after download
+      removeJob(job);
+    });
+  });
+  enqueueJob(job);
+}
+
+// Drop finished jobs (and their results) once they have been kept for JOB_RESULT_TTL
+setInterval(() => {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_RESULT_TTL) {
+      logger.info(`[${new Date().toISOString()}] JOB ${job.id} expired, removing result`);
+      removeJob(job);
+    }
+  }
+}, 60 * 1000).unref();
+
+// Remote inputs and outputs
+// Any route that takes an upload also accepts `url` (http(s) or s3://bucket/key). Remote files are
+// fetched into uploads/ under the same size limit, timeout and host allowlist, then processed like
+// an upload. `outputUrl` (a presigned PUT URL or s3://bucket/key) uploads the result there and the
+// route answers with the object location instead of the file.
+const REMOTE_HOST_ALLOWLIST = (process.env.REMOTE_HOST_ALLOWLIST || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const REMOTE_MAX_BYTES = parseInt(process.env.REMOTE_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024;
+const REMOTE_TIMEOUT = (parseInt(process.env.REMOTE_TIMEOUT, 10) || 300) * 1000;
+const REMOTE_MAX_REDIRECTS = 5;
+// Loopback, private, link-local and other non-public addresses are refused unless this is set
+// (e.g. for a development setup that fetches from a local file server)
+const REMOTE_ALLOW_PRIVATE = process.env.REMOTE_ALLOW_PRIVATE === 'true';
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// S3-compatible storage (AWS S3, MinIO, ...) used for s3:// URLs
+const S3_CONFIG = {
+  endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+  region: process.env.S3_REGION || 'us-east-1',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+  presignExpires: parseInt(process.env.S3_PRESIGN_EXPIRES, 10) || 3600
+};
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4', '.webm': 'video/webm', '.mkv': 'video/x-matroska', '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.aac': 'audio/aac', '.ogg': 'audio/ogg', '.opus': 'audio/ogg',
+  '.flac': 'audio/flac', '.wav': 'audio/wav', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png',
+  '.webp': 'image/webp', '.avif': 'image/avif', '.gif': 'image/gif', '.zip': 'application/zip',
+  '.json': 'application/json', '.vtt': 'text/vtt', '.ts': 'video/mp2t'
+};
+
+function remoteError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// True for addresses that aren't reachable on the public internet (IPv4-mapped IPv6 included)
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Hosts match exactly, or by suffix with a leading wildcard (*.example.com).
+// An empty allowlist allows every host; IP literals in private ranges are refused either way.
+// Names are checked again after DNS resolution by lookupPublicHost.
+function isHostAllowed(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  if (!REMOTE_ALLOW_PRIVATE && isPrivateAddress(host)) return false;
+  if (REMOTE_HOST_ALLOWLIST.length === 0) return true;
+  return REMOTE_HOST_ALLOWLIST.some((allowed) => (
+    allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed
+  ));
+}
+
+// dns.lookup replacement for outgoing requests: fails when the name resolves to a private address,
+// so an allowed (or unrestricted) host name can't be pointed at internal services
+function lookupPublicHost(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!REMOTE_ALLOW_PRIVATE && addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(remoteError(`Host not allowed: ${hostname} resolves to a private address`, 403));
+    }
+    callback(null, address, family);
+  });
+}
+
+// RFC 3986 encoding as required by SigV4
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Build a SigV4 presigned URL for an object in the configured S3-compatible storage
+function presignS3Url(method, bucket, key, now = new Date()) {
+  if (!S3_CONFIG.accessKeyId || !S3_CONFIG.secretAccessKey) {
+    throw remoteError('S3 is not configured (set S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY)', 400);
+  }
+
+  const endpoint = new URL(S3_CONFIG.endpoint);
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+  const host = S3_CONFIG.forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const canonicalUri = S3_CONFIG.forcePathStyle ? `/${encodeRfc3986(bucket)}/${encodedKey}` : `/${encodedKey}`;
+
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${S3_CONFIG.region}/s3/aws4_request`;
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${S3_CONFIG.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(S3_CONFIG.presignExpires),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [method, canonicalUri, canonicalQuery, `host:${host}`, '', 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const hmac = (keyBytes, data) => crypto.createHmac('sha256', keyBytes).update(data).digest();
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${S3_CONFIG.secretAccessKey}`, date), S3_CONFIG.region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${endpoint.protocol}//${host}${canonicalUri}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+// Parse s3://bucket/key; null if value isn't an s3 URL
+function parseS3Url(value) {
+  const match = /^s3:\/\/([^/]+)\/(.*)$/.exec(value);
+  return match ? { bucket: match[1], key: match[2] } : null;
+}
+
+// Turn a user-supplied URL into something we can request: s3:// becomes a presigned URL
+// for the configured storage, http(s) must pass the host allowlist. Throws on invalid input.
+function resolveRemoteUrl(value, method) {
+  const s3 = parseS3Url(String(value));
+  if (s3) {
+    if (!s3.key) throw remoteError(`Invalid S3 URL: ${value}. Expected s3://bucket/key`, 400);
+    return { url: presignS3Url(method, s3.bucket, s3.key), s3 };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (err) {
+    throw remoteError(`Invalid URL: ${value}`, 400);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw remoteError('Invalid URL: only http, https and s3 URLs are supported', 400);
+  }
+  if (!isHostAllowed(parsed.hostname)) {
+    throw remoteError(`Host not allowed: ${parsed.hostname}`, 403);
+  }
+  return { url: parsed.toString() };
+}
+
+// Send an HTTP(S) request with the remote timeout applied; callback(err, response).
+// Host names must resolve to public addresses unless `trusted` is set (the configured S3 endpoint).
+function remoteRequest(url, { trusted, ...options }, callback) {
+  const client = url.startsWith('https:') ? https : http;
+  if (!trusted) options.lookup = lookupPublicHost;
+  let finished = false;
+  const done = (err, response) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    callback(err, response);
+  };
+
+  const request = client.request(url, options, (response) => done(null, response));
+  const timer = setTimeout(() => {
+    request.destroy(remoteError(`Remote request timed out after ${REMOTE_TIMEOUT / 1000}s`, 504));
+  }, REMOTE_TIMEOUT);
+  request.on('error', (err) => done(err.statusCode ? err : remoteError(`Remote request failed: ${err.message}`, 502)));
+  request.on('close', () => clearTimeout(timer));
+  return request;
+}
+
+// Download a remote input into dir (the request workspace); callback(err, file) with a multer-like file object.
+// `maxBytes` is the caller's upload limit, capped by REMOTE_MAX_BYTES.
+function fetchRemoteInput(value, dir, timestamp, maxBytes, callback) {
+  let resolved;
+  try {
+    resolved = resolveRemoteUrl(value, 'GET');
+  } catch (err) {
+    return callback(err);
+  }
+
+  maxBytes = maxBytes ? Math.min(maxBytes, REMOTE_MAX_BYTES) : REMOTE_MAX_BYTES;
+  const baseName = path.basename(resolved.s3 ? resolved.s3.key : new URL(resolved.url).pathname) || 'remote-input';
+  let originalname;
+  try {
+    originalname = safeFileName(decodeURIComponent(baseName));
+  } catch (err) {
+    // A malformed escape (e.g. "%E0%A4%A") just means the name is used as it is
+    originalname = safeFileName(baseName);
+  }
+  const filePath = path.join(dir, uniqueFileName(originalname));
+  const startTime = Date.now();
+
+  const get = (url, redirects) => {
+    const request = remoteRequest(url, { method: 'GET', trusted: Boolean(resolved.s3) }, (err, response) => {
+      if (err) return callback(err);
+
+      // Follow redirects ourselves so every hop is checked against the allowlist
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= REMOTE_MAX_REDIRECTS) {
+          return callback(remoteError('Too many redirects fetching remote input', 502));
+        }
+        const next = new URL(response.headers.location, url);
+        if (!resolved.s3 && !isHostAllowed(next.hostname)) {
+          return callback(remoteError(`Redirect to host not allowed: ${next.hostname}`, 403));
+        }
+        return get(next.toString(), redirects + 1);
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        return callback(remoteError(`Remote fetch failed: HTTP ${response.statusCode}`, 502));
+      }
+      if (Number(response.headers['content-length']) > maxBytes) {
+        response.resume();
+        return callback(remoteError(`Remote file too large (limit: ${maxBytes} bytes)`, 413));
+      }
+
+      let size = 0;
+      let failed = false;
+      const output = fs.createWriteStream(filePath);
+      const fail = (failure) => {
+        if (failed) return;
+        failed = true;
+        request.destroy();
+        output.destroy();
+        removePath(filePath);
+        callback(failure);
+      };
+
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          fail(remoteError(`Remote file too large (limit: ${maxBytes} bytes)`, 413));
+        }
+      });
+      response.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', () => {
+        if (failed) return;
+        logger.info(`[${timestamp}] Remote input fetched: ${originalname} (${size} bytes) in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        callback(null, { path: filePath, originalname, size });
+      });
+      response.pipe(output);
+    });
+    request.end();
+  };
+
+  logger.info(`[${timestamp}] Fetching remote input: ${resolved.s3 ? `s3://${resolved.s3.bucket}/${resolved.s3.key}` : resolved.url}`);
+  get(resolved.url, 0);
+}
+
+// Check `outputUrl`; returns { target } (null when absent) or { error, statusCode }
+function parseOutputTarget(value) {
+  if (value === undefined || value === null || value === '') return { target: null };
+  try {
+    const s3 = parseS3Url(String(value));
+    if (s3) {
+      if (!S3_CONFIG.accessKeyId || !S3_CONFIG.secretAccessKey) {
+        throw remoteError('S3 is not configured (set S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY)', 400);
+      }
+      return { target: { type: 's3', bucket: s3.bucket, key: s3.key } };
+    }
+    return { target: { type: 'url', url: resolveRemoteUrl(value, 'PUT').url } };
+  } catch (err) {
+    return { error: err.message, statusCode: err.statusCode };
+  }
+}
+
+// PUT a finished output to its target; callback(err, { location, url, size })
+function deliverOutput(localPath, target, timestamp, callback) {
+  const size = fs.statSync(localPath).size;
+  let url = target.url;
+  let location;
+
+  if (target.type === 's3') {
+    // A key ending in "/" (or no key) is treated as a prefix for the generated file name
+    const key = !target.key || target.key.endsWith('/') ? `${target.key}${path.basename(localPath)}` : target.key;
+    url = presignS3Url('PUT', target.bucket, key);
+    location = `s3://${target.bucket}/${key}`;
+  } else {
+    location = url.split('?')[0];
+  }
+
+  const headers = { 'Content-Length': size };
+  if (target.type === 's3') {
+    headers['Content-Type'] = CONTENT_TYPES[path.extname(localPath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  const startTime = Date.now();
+  const request = remoteRequest(url, { method: 'PUT', headers, trusted: target.type === 's3' }, (err, response) => {
+    if (err) return callback(err);
+    response.resume();
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      return callback(remoteError(`Output upload failed: HTTP ${response.statusCode}`, 502));
+    }
+    logger.info(`[${timestamp}] Output uploaded to ${location} (${size} bytes) in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    callback(null, { location, url: url.split('?')[0], size });
+  });
+  fs.createReadStream(localPath).on('error', (err) => request.destroy(err)).pipe(request);
+}
+
+// Answer a request that produced a single file without going through the job queue:
+// upload it to req.outputTarget and reply with its location, or download it directly.
+// The local file is removed either way.
+function sendOutputFile(req, res, outputPath, timestamp, extra = {}) {
+  if (req.outputTarget) {
+    return deliverOutput(outputPath, req.outputTarget, timestamp, (err, delivered) => {
+      removePath(outputPath);
+      if (err) {
+        logger.info(`[${timestamp}] Output upload failed: ${err.message}`);
+        return sendError(res, err.statusCode || 502, err.message);
+      }
+      res.json({ ...extra, ...delivered });
+    });
+  }
+
+  res.download(outputPath, (err) => {
+    if (err) {
+      logger.error(`[${timestamp}] Download error:`, err);
+    }
+    // Clean up output file after download
+    removePath(outputPath);
+  });
+}
+
+// Remove whatever multer (or fetchRemoteInput) stored for this request
+function cleanupRequestFiles(req) {
+  // req.files is an array (upload.array) or an object of arrays (upload.fields)
+  const uploaded = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  const files = [].concat(req.file || [], uploaded);
+  for (const file of files) {
+    removePath(file.path);
+  }
+}
+
+// Middleware: fetch `url` into req.file when no file was uploaded
+function remoteInput(req, res, next) {
+  if (req.file || !req.body?.url) return next();
+
+  const timestamp = new Date().toISOString();
+  fetchRemoteInput(req.body.url, workspaceFor(req), timestamp, req.apiKey?.maxUploadBytes, (err, file) => {
+    if (err) {
+      logger.info(`[${timestamp}] Remote input failed: ${err.message}`);
+      return sendError(res, err.statusCode || 502, err.message);
+    }
+    req.file = file;
+    next();
+  });
+}
+
+// Middleware: fetch every entry of `urls` (JSON array, or repeated form field) and append them to req.files
+function remoteInputs(req, res, next) {
+  let urls = req.body?.urls;
+  if (!urls) return next();
+
+  const timestamp = new Date().toISOString();
+  if (typeof urls === 'string') {
+    try {
+      urls = urls.trim().startsWith('[') ? JSON.parse(urls) : [urls];
+    } catch (err) {
+      cleanupRequestFiles(req);
+      return sendError(res, 400, 'Invalid urls: expected a JSON array of URLs');
+    }
+  }
+
+  req.files = req.files || [];
+  const fetchNext = (index) => {
+    if (index === urls.length) return next();
+    fetchRemoteInput(urls[index], workspaceFor(req), timestamp, req.apiKey?.maxUploadBytes, (err, file) => {
+      if (err) {
+        logger.info(`[${timestamp}] Remote input ${index + 1} failed: ${err.message}`);
+        cleanupRequestFiles(req);
+        return sendError(res, err.statusCode || 502, `urls[${index}]: ${err.message}`);
+      }
+      req.files.push(file);
+      fetchNext(index + 1);
+    });
+  };
+  fetchNext(0);
+}
+
+// Middleware factory: for each upload field without a file, fetch `<field>Url` into req.files[field]
+function remoteFieldInputs(fields) {
+  return (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const pending = fields.filter((field) => !req.files?.[field]?.length && req.body?.[`${field}Url`]);
+
+    const fetchNext = (index) => {
+      if (index === pending.length) return next();
+      const field = pending[index];
+      fetchRemoteInput(req.body[`${field}Url`], workspaceFor(req), timestamp, req.apiKey?.maxUploadBytes, (err, file) => {
+        if (err) {
+          logger.info(`[${timestamp}] Remote input ${field} failed: ${err.message}`);
+          cleanupRequestFiles(req);
+          return sendError(res, err.statusCode || 502, `${field}Url: ${err.message}`);
+        }
+        req.files = req.files || {};
+        req.files[field] = [file];
+        fetchNext(index + 1);
+      });
+    };
+    fetchNext(0);
+  };
+}
+
+// Middleware: validate `outputUrl` into req.outputTarget
+function remoteOutput(req, res, next) {
+  const { target, error, statusCode } = parseOutputTarget(req.body?.outputUrl);
+  if (error) {
+    cleanupRequestFiles(req);
+    logger.info(`[${new Date().toISOString()}] Invalid outputUrl: ${error}`);
+    return sendError(res, statusCode || 400, error);
+  }
+  req.outputTarget = target;
+  next();
+}
+
+// Webhook callbacks
+// Job routes accept `callbackUrl`; once the job finishes its outcome is POSTed there as JSON.
+// With WEBHOOK_SECRET set the body is signed (X-Webhook-Signature: sha256=<HMAC-SHA256 hex>).
+// Failed deliveries are retried with exponential backoff.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_DELAY = (parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 2) * 1000;
+
+// Total size of a file, or of every file below a directory
+function pathSize(target) {
+  if (!target || !fs.existsSync(target)) return null;
+  const stats = fs.statSync(target);
+  if (!stats.isDirectory()) return stats.size;
+  return fs.readdirSync(target).reduce((sum, name) => sum + pathSize(path.join(target, name)), 0);
+}
+
+function buildCallbackPayload(job) {
+  const completed = job.state === 'completed';
+  const result = job.result || {};
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.state,
+    file: job.originalName,
+    output: completed ? {
+      location: result.location || result.baseUrl || `/jobs/${job.id}/result`,
+      url: result.url || null,
+      size: job.outputSize
+    } : null,
+    durationSeconds: Number(((job.finishedAt - job.createdAt) / 1000).toFixed(1)),
+    processingSeconds: job.startedAt ? Number(((job.finishedAt - job.startedAt) / 1000).toFixed(1)) : null,
+    outputSize: completed ? job.outputSize : null,
+    commands: job.commandLines,
+    error: job.errorInfo,
+    finishedAt: new Date(job.finishedAt).toISOString()
+  };
+}
+
+function signCallbackBody(body) {
+  return `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}`;
+}
+
+// POST the job outcome to its callbackUrl, retrying with exponential backoff
+function sendJobCallback(job) {
+  const body = JSON.stringify(buildCallbackPayload(job));
+
+  const attempt = (number) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'ffmpeg-restful-webhook',
+      'X-Webhook-Id': job.id,
+      'X-Webhook-Event': `job.${job.state}`,
+      'X-Webhook-Attempt': String(number)
+    };
+    if (job.requestId) {
+      headers['X-Request-Id'] = job.requestId;
+    }
+    if (WEBHOOK_SECRET) {
+      headers['X-Webhook-Signature'] = signCallbackBody(body);
+    }
+
+    const retry = (reason) => {
+      if (number >= WEBHOOK_MAX_ATTEMPTS) {
+        logger.info(`[${job.timestamp}] JOB ${job.id} callback failed after ${number} attempts: ${reason}`);
+        return;
+      }
+      const delay = WEBHOOK_RETRY_DELAY * 2 ** (number - 1);
+      logger.info(`[${job.timestamp}] JOB ${job.id} callback attempt ${number} failed (${reason}), retrying in ${delay / 1000}s`);
+      setTimeout(() => attempt(number + 1), delay).unref();
+    };
+
+    const request = remoteRequest(job.callbackUrl, { method: 'POST', headers }, (err, response) => {
+      if (err && err.statusCode === 403) {
+        // The host resolved to a refused address; retrying won't change that
+        return logger.info(`[${job.timestamp}] JOB ${job.id} callback not sent: ${err.message}`);
+      }
+      if (err) return retry(err.message);
+      response.resume();
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        return retry(`HTTP ${response.statusCode}`);
+      }
+      logger.info(`[${job.timestamp}] JOB ${job.id} callback delivered to ${job.callbackUrl} (attempt ${number})`);
+    });
+    request.end(body);
+  };
+
+  attempt(1);
+}
+
+// Middleware: validate `callbackUrl` into req.callbackUrl
+function callbackTarget(req, res, next) {
+  const value = req.body?.callbackUrl;
+  if (value !== undefined && value !== '') {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      cleanupRequestFiles(req);
+      logger.info(`[${new Date().toISOString()}] Invalid callbackUrl: ${value}`);
+      return sendError(res, 400, 'Invalid callbackUrl: only http and https URLs are supported');
+    }
+    // Same rules as remote inputs; delivery re-checks the resolved address (see remoteRequest)
+    if (!isHostAllowed(parsed.hostname)) {
+      cleanupRequestFiles(req);
+      logger.info(`[${new Date().toISOString()}] callbackUrl host not allowed: ${parsed.hostname}`);
+      return sendError(res, 403, `Host not allowed: ${parsed.hostname}`);
+    }
+    req.callbackUrl = parsed.toString();
+  }
+  next();
+}
+
+// Encoding parameters
+// /convert only accepts values from these allowlists; they are mapped onto
+// fluent-ffmpeg calls rather than passed through as raw ffmpeg arguments.
+const ENCODING_ALLOWLIST = {
+  videoCodec: ['libx264', 'libx265', 'libvpx', 'libvpx-vp9', 'libaom-av1', 'mpeg4', 'copy', 'none'],
+  audioCodec: ['aac', 'libmp3lame', 'libopus', 'libvorbis', 'flac', 'pcm_s16le', 'copy', 'none'],
+  preset: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+  scaleMode: ['fit', 'pad', 'crop', 'stretch'],
+  pixelFormat: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le', 'yuv422p10le', 'nv12', 'rgb24'],
+  audioSampleRate: [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000, 96000]
+};
+const ENCODING_RANGES = {
+  crf: [0, 63],
+  width: [16, 7680],
+  height: [16, 4320],
+  fps: [1, 120],
+  audioChannels: [1, 8]
+};
+// Output formats for the transcoding routes: file extension -> ffmpeg muxer. Anything else is
+// rejected instead of being handed to ffmpeg as a format name.
+const MEDIA_FORMATS = {
+  mp4: 'mp4',
+  mov: 'mov',
+  mkv: 'matroska',
+  webm: 'webm',
+  avi: 'avi',
+  flv: 'flv',
+  ts: 'mpegts',
+  m4a: 'ipod',
+  mp3: 'mp3',
+  aac: 'adts',
+  wav: 'wav',
+  flac: 'flac',
+  ogg: 'ogg',
+  opus: 'opus',
+  gif: 'gif'
+};
+const ENCODING_PARAMS = [
+  'videoCodec', 'audioCodec', 'crf', 'videoBitrate', 'audioBitrate', 'preset', 'width', 'height',
+  'scaleMode', 'fps', 'audioSampleRate', 'audioChannels', 'pixelFormat'
+];
+
+// Built-in profiles; entries in PROFILES_FILE are added on top (and may replace these)
+const DEFAULT_PROFILES = {
+  'web-1080p': {
+    format: 'mp4', videoCodec: 'libx264', preset: 'medium', crf: 22, height: 1080, scaleMode: 'fit',
+    pixelFormat: 'yuv420p', audioCodec: 'aac', audioBitrate: '160k'
+  },
+  'web-720p': {
+    format: 'mp4', videoCodec: 'libx264', preset: 'medium', crf: 23, height: 720, scaleMode: 'fit',
+    pixelFormat: 'yuv420p', audioCodec: 'aac', audioBitrate: '128k'
+  },
+  'mobile-480p': {
+    format: 'mp4', videoCodec: 'libx264', preset: 'fast', crf: 26, height: 480, scaleMode: 'fit', fps: 30,
+    pixelFormat: 'yuv420p', audioCodec: 'aac', audioBitrate: '96k', audioChannels: 2
+  },
+  'audio-podcast': {
+    format: 'mp3', videoCodec: 'none', audioCodec: 'libmp3lame', audioBitrate: '96k',
+    audioSampleRate: 44100, audioChannels: 1
+  }
+};
+const PROFILES_FILE = process.env.PROFILES_FILE || 'profiles.json';
+
+// Returns an error message for a format outside MEDIA_FORMATS, or null
+function checkMediaFormat(format) {
+  if (Object.prototype.hasOwnProperty.call(MEDIA_FORMATS, format)) return null;
+  return `Unsupported format: ${format}. Supported formats: ${Object.keys(MEDIA_FORMATS).join(', ')}`;
+}
+
+// Check user-supplied encoding parameters and normalize them (numbers as numbers, etc.)
+function validateEncodingParams(input) {
+  const params = {};
+  const valueOf = (name) => {
+    const value = input[name];
+    return value === undefined || value === null || value === '' ? undefined : String(value).trim();
+  };
+
+  for (const name of ['videoCodec', 'audioCodec', 'preset', 'scaleMode', 'pixelFormat']) {
+    const value = valueOf(name);
+    if (value === undefined) continue;
+    if (!ENCODING_ALLOWLIST[name].includes(value)) {
+      return { error: `Unsupported ${name}: ${value}. Supported values: ${ENCODING_ALLOWLIST[name].join(', ')}` };
+    }
+    params[name] = value;
+  }
+
+  for (const [name, [min, max]] of Object.entries(ENCODING_RANGES)) {
+    const value = valueOf(name);
+    if (value === undefined) continue;
+    const pattern = name === 'fps' ? /^\d+(\.\d+)?$/ : /^\d+$/;
+    const number = Number(value);
+    if (!pattern.test(value) || number < min || number > max) {
+      return { error: `Invalid ${name}: ${value}. Expected a number between ${min} and ${max}` };
+    }
+    if ((name === 'width' || name === 'height') && number % 2 !== 0) {
+      return { error: `Invalid ${name}: ${value}. Must be an even number` };
+    }
+    params[name] = number;
+  }
+
+  const sampleRate = valueOf('audioSampleRate');
+  if (sampleRate !== undefined) {
+    if (!ENCODING_ALLOWLIST.audioSampleRate.includes(Number(sampleRate))) {
+      return { error: `Unsupported audioSampleRate: ${sampleRate}. Supported values: ${ENCODING_ALLOWLIST.audioSampleRate.join(', ')}` };
+    }
+    params.audioSampleRate = Number(sampleRate);
+  }
+
+  // Bitrates are in kbps, optionally with a k/M suffix (e.g. 2500, 2500k, 2.5M)
+  for (const name of ['videoBitrate', 'audioBitrate']) {
+    const value = valueOf(name);
+    if (value === undefined) continue;
+    if (!/^\d+(\.\d+)?[kKmM]?$/.test(value)) {
+      return { error: `Invalid ${name}: ${value}. Expected kbps with an optional k/M suffix, e.g. 2500k or 2.5M` };
+    }
+    params[name] = /[mM]$/.test(value) ? `${Math.round(parseFloat(value) * 1000)}k` : value.replace(/[kK]?$/, 'k');
+  }
+
+  if (params.crf !== undefined && params.videoBitrate) {
+    return { error: 'Use either crf or videoBitrate, not both' };
+  }
+  // Stream copy and dropped streams can't be filtered or re-encoded
+  if (params.videoCodec === 'copy' || params.videoCodec === 'none') {
+    const conflicting = ['crf', 'videoBitrate', 'preset', 'width', 'height', 'fps', 'pixelFormat'].filter((name) => params[name] !== undefined);
+    if (conflicting.length > 0) {
+      return { error: `videoCodec ${params.videoCodec} cannot be combined with ${conflicting.join(', ')}` };
+    }
+  }
+  if (params.audioCodec === 'copy' || params.audioCodec === 'none') {
+    const conflicting = ['audioBitrate', 'audioSampleRate', 'audioChannels'].filter((name) => params[name] !== undefined);
+    if (conflicting.length > 0) {
+      return { error: `audioCodec ${params.audioCodec} cannot be combined with ${conflicting.join(', ')}` };
+    }
+  }
+  if ((params.scaleMode === 'pad' || params.scaleMode === 'crop') && !(params.width && params.height)) {
+    return { error: `scaleMode ${params.scaleMode} requires both width and height` };
+  }
+
+  return { params };
+}
+
+// Scale to the requested size; a single dimension keeps the source aspect ratio
+function buildScaleFilters({ width, height, scaleMode = 'fit' }) {
+  if (!width && !height) return [];
+  if (!width) return [`scale=-2:${height}`];
+  if (!height) return [`scale=${width}:-2`];
+
+  switch (scaleMode) {
+    case 'stretch':
+      return [`scale=${width}:${height}`, 'setsar=1'];
+    case 'pad':
+      return [
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1'
+      ];
+    case 'crop':
+      return [`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`, 'setsar=1'];
+    default:
+      return [`scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2`];
+  }
+}
+
+function applyEncodingParams(command, params) {
+  if (params.videoCodec === 'none') {
+    command.noVideo();
+  } else if (params.videoCodec) {
+    command.videoCodec(params.videoCodec);
+  }
+  if (params.audioCodec === 'none') {
+    command.noAudio();
+  } else if (params.audioCodec) {
+    command.audioCodec(params.audioCodec);
+  }
+
+  if (params.preset) command.outputOptions(['-preset', params.preset]);
+  if (params.crf !== undefined) command.outputOptions(['-crf', String(params.crf)]);
+  if (params.videoBitrate) command.videoBitrate(params.videoBitrate);
+  if (params.fps) command.fps(params.fps);
+  if (params.pixelFormat) command.outputOptions(['-pix_fmt', params.pixelFormat]);
+
+  const scaleFilters = buildScaleFilters(params);
+  if (scaleFilters.length > 0) command.videoFilters(scaleFilters);
+
+  if (params.audioBitrate) command.audioBitrate(params.audioBitrate);
+  if (params.audioSampleRate) command.audioFrequency(params.audioSampleRate);
+  if (params.audioChannels) command.audioChannels(params.audioChannels);
+
+  return command;
+}
+
+// Load the built-in profiles plus any from PROFILES_FILE, skipping invalid entries
+function loadEncodingProfiles() {
+  const timestamp = new Date().toISOString();
+  const profiles = { ...DEFAULT_PROFILES };
+
+  if (fs.existsSync(PROFILES_FILE)) {
+    try {
+      Object.assign(profiles, JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8')));
+      logger.info(`[${timestamp}] Loaded encoding profiles from ${PROFILES_FILE}`);
+    } catch (err) {
+      logger.error(`[${timestamp}] Failed to load encoding profiles from ${PROFILES_FILE}: ${err.message}`);
+    }
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    const { error } = validateEncodingParams(profile || {});
+    if (error) {
+      logger.error(`[${timestamp}] Ignoring encoding profile ${name}: ${error}`);
+      delete profiles[name];
+    }
+  }
+  return profiles;
+}
+
+const encodingProfiles = loadEncodingProfiles();
+
+// Image output formats for screenshots, thumbnails and sprites
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'avif'];
+
+// Set format-specific encoder options for image output: stills, and the animated previews
+// of /preview (gif needs nothing extra). `quality` (0-100) is the WebP quality.
+function applyImageFormatOptions(command, format, { quality = 80 } = {}) {
+  if (format === 'avif') {
+    return command
+      .outputOptions([
+        '-c:v', 'libaom-av1',
+        '-crf', '30',
+        '-cpu-used', '8'
+      ]);
+  } else if (format === 'webp') {
+    return command
+      .outputOptions([
+        '-c:v', 'libwebp',
+        '-quality', String(quality)
+      ]);
+  } else if (format === 'apng') {
+    return command.outputOptions(['-c:v', 'apng']);
+  }
+  return command;
+}
+
+// Routes
+app.get('/', (req, res) => {
+  res.json({
+    message: 'FFmpeg RESTful API',
+    authentication: 'When API keys are configured, send one in the X-API-Key header (or Authorization: Bearer <key>)',
+    requestIds: 'Every response carries an X-Request-Id header (the one sent by the client, or a generated one); set LOG_FORMAT=json to log it with every line',
+    remoteIO: 'Every processing route accepts `url` (http, https or s3://bucket/key) instead of an upload, and `outputUrl` (presigned PUT URL or s3://bucket/key) to upload the result',
+    documentation: { openapi: '/openapi.json', ui: '/docs' },
+    errors: 'Errors are returned as { "error": { "code", "message", "source", "details" } }; source is user, ffmpeg (details.stderr holds the end of its output) or server',
+    endpoints: Object.fromEntries(API_ROUTES.map((route) => [`${route.method.toUpperCase()} ${route.path}`, route.summary])),
+    examples: {
+      convert: 'curl -X POST -F "file=@video.mp4" -F "format=webm" /convert',
+      'convert-encoding': 'curl -X POST -F "file=@video.mp4" -F "videoCodec=libx264" -F "crf=23" -F "preset=fast" -F "height=720" /convert',
+      'convert-profile': 'curl -X POST -F "file=@video.mp4" -F "profile=web-720p" /convert',
+      'convert-stream': 'curl -X POST -H "Content-Type: video/webm" --data-binary @video.webm "/convert?format=mp4&stream=true" -o output.mp4',
+      trim: 'curl -X POST -F "file=@video.mp4" -F "start=00:00:10" -F "duration=5" -F "mode=accurate" /trim',
+      concat: 'curl -X POST -F "files=@part1.mp4" -F "files=@part2.mp4" /concat',
+      package: 'curl -X POST -F "file=@video.mp4" -F "formats=hls,dash" -F "encrypt=true" /package -o package.zip',
+      screenshot: 'curl -X POST -F "file=@video.mp4" -F "format=avif" /random-screenshot',
+      'screenshot-best': 'curl -X POST -F "file=@video.mp4" -F "mode=best" /random-screenshot',
+      sprites: 'curl -X POST -F "file=@video.mp4" -F "interval=5" -F "format=webp" /sprites -o sprites.zip',
+      screenshots: 'curl -X POST -F "file=@video.mp4" -F "mode=screenshots" -F "count=8" /sprites -o screenshots.zip',
+      preview: 'curl -X POST -F "file=@video.mp4" -F "format=webp" -F "width=320" -F "maxBytes=1048576" /preview -o preview.webp',
+      overlay: 'curl -X POST -F "file=@video.mp4" -F "watermark=@logo.png" -F "text=Example" -F "position=bottom-left" -F "subtitles=@captions.srt" /overlay',
+      compare: 'curl -X POST -F "reference=@master.mp4" -F "distorted=@encoded.mp4" /compare',
+      'audio-extract': 'curl -X POST -F "file=@movie.mkv" -F "language=eng" -F "format=opus" /audio/extract',
+      'audio-normalize': 'curl -X POST -F "file=@episode.wav" -F "targetI=-16" /audio/normalize',
+      'audio-waveform': 'curl -X POST -F "file=@episode.mp3" -F "format=json" -F "points=800" /audio/waveform',
+      'audio-silence': 'curl -X POST -F "file=@episode.mp3" -F "noise=-35" /audio/silence',
+      info: 'curl -X POST -F "file=@video.mp4" /info',
+      'info-summary': 'curl -X POST -F "file=@video.mp4" "/info?view=summary"',
+      probe: 'curl -X POST -H "Content-Type: application/json" -d \'{"url":"https://example.com/video.mp4"}\' /probe',
+      'probe-thumbnail': 'curl -X POST -H "Content-Type: application/json" -d \'{"url":"https://example.com/video.mp4","thumbnail":true,"format":"jpg"}\' /probe',
+      'remove-letterbox': 'curl -X POST -F "file=@video.mp4" /remove-letterbox',
+      'detect-letterbox': 'curl -X POST -F "file=@video.mp4" -F "detectOnly=true" -F "samples=20" /remove-letterbox',
+      pipeline: 'curl -X POST -F "file=@video.mp4" -F \'steps=[{"op":"remove-letterbox"},{"op":"trim","start":"10","duration":"30"},{"op":"convert","profile":"web-720p"},{"op":"screenshot","mode":"best"}]\' /pipeline -o pipeline.zip',
+      'pipeline-json': 'curl -X POST -H "Content-Type: application/json" -d \'{"url":"https://example.com/video.mp4","output":"json","steps":[{"op":"probe","view":"summary"},{"op":"convert","format":"webm"}]}\' /pipeline',
+      'convert-async': 'curl -X POST -F "file=@video.mp4" -F "format=webm" -F "async=true" /convert',
+      'job-status': 'curl /jobs/<jobId>',
+      'job-events': 'curl -N /jobs/<jobId>/events',
+      'convert-callback': 'curl -X POST -F "file=@video.mp4" -F "async=true" -F "callbackUrl=https://backend.example.com/hooks/ffmpeg" /convert',
+      'remote-io': 'curl -X POST -H "Content-Type: application/json" -d \'{"url":"s3://media/input.mp4","format":"webm","outputUrl":"s3://media/results/"}\' /convert'
+    }
+  });
+});
+
+// Health check endpoint (绿灯测试)
+app.get('/health', (req, res) => {
+  const healthCheck = {
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    service: 'FFmpeg RESTful API',
+    version: SERVICE_VERSION,
+    environment: process.env.NODE_ENV || 'development',
+    memory: {
+      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
+      external: Math.round(process.memoryUsage().external / 1024 / 1024)
+    },
+    system: {
+      platform: process.platform,
+      arch: process.arch,
+      nodeVersion: process.version
+    }
+  };
+
+  // 检查 FFmpeg 是否可用
+  const ffmpeg = require('fluent-ffmpeg');
+  
+  ffmpeg.getAvailableFormats((err, formats) => {
+    if (err) {
+      healthCheck.status = 'ERROR';
+      healthCheck.ffmpeg = {
+        available: false,
+        error: err.message
+      };
+      return res.status(503).json(healthCheck);
+    }
+    
+    healthCheck.ffmpeg = {
+      available: true,
+      formatsCount: Object.keys(formats).length
+    };
+    
+    res.status(200).json(healthCheck);
+  });
+});
+
+// Capabilities
+// What the installed ffmpeg build supports, probed on first use and kept for the life of the
+// process (the binaries don't change underneath a running server).
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_BINARY = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Optional software libraries that some options depend on
+const OPTIONAL_ENCODERS = ['libx264', 'libx265', 'libaom-av1', 'libsvtav1', 'libvpx-vp9', 'libwebp', 'libopus', 'libmp3lame', 'libfdk_aac'];
+const OPTIONAL_FILTERS = ['libvmaf', 'subtitles', 'drawtext', 'loudnorm'];
+
+// Encoder each screenshot/sprite/preview image format needs (see applyImageFormatOptions)
+const IMAGE_FORMAT_ENCODERS = { jpg: 'mjpeg', jpeg: 'mjpeg', png: 'png', webp: 'libwebp', avif: 'libaom-av1', gif: 'gif', apng: 'apng' };
+
+let capabilities = null;
+let capabilityWaiters = null;
+
+// `<binary> -version` starts with e.g. "ffmpeg version 6.1.1 Copyright ..."
+function readBinaryVersion(binary, callback) {
+  execFile(binary, ['-version'], { timeout: 10000 }, (err, stdout) => {
+    if (err) return callback(err);
+    callback(null, stdout.match(/ version (\S+)/)?.[1] || null);
+  });
+}
+
+function namesByType(entries, filter) {
+  const byType = {};
+  for (const [name, entry] of Object.entries(entries)) {
+    if (!filter(entry)) continue;
+    (byType[entry.type] = byType[entry.type] || []).push(name);
+  }
+  return byType;
+}
+
+function collectCapabilities(callback) {
+  const results = {};
+  const tasks = {
+    ffmpegVersion: (done) => readBinaryVersion(FFMPEG_BINARY, done),
+    ffprobeVersion: (done) => readBinaryVersion(FFPROBE_BINARY, done),
+    encoders: (done) => ffmpeg.getAvailableEncoders(done),
+    codecs: (done) => ffmpeg.getAvailableCodecs(done),
+    filters: (done) => ffmpeg.getAvailableFilters(done),
+    formats: (done) => ffmpeg.getAvailableFormats(done)
+  };
+
+  let pending = Object.keys(tasks).length;
+  let failed = false;
+  for (const [name, task] of Object.entries(tasks)) {
+    task((err, value) => {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return callback(new Error(`Failed to read ${name}: ${err.message}`));
+      }
+      results[name] = value;
+      if (--pending > 0) return;
+
+      const { encoders, codecs, filters, formats } = results;
+      callback(null, {
+        ffmpeg: { version: results.ffmpegVersion },
+        ffprobe: { version: results.ffprobeVersion },
+        libraries: Object.fromEntries([
+          ...OPTIONAL_ENCODERS.map((encoder) => [encoder, Boolean(encoders[encoder])]),
+          ...OPTIONAL_FILTERS.map((filter) => [filter, Boolean(filters[filter])])
+        ]),
+        imageFormats: IMAGE_FORMATS.filter((format) => encoders[IMAGE_FORMAT_ENCODERS[format]]),
+        previewFormats: Object.keys(PREVIEW_FORMATS).filter((format) => encoders[IMAGE_FORMAT_ENCODERS[format]]),
+        encoders: namesByType(encoders, () => true),
+        decoders: namesByType(codecs, (codec) => codec.canDecode),
+        filters: Object.keys(filters),
+        formats: {
+          muxers: Object.keys(formats).filter((format) => formats[format].canMux),
+          demuxers: Object.keys(formats).filter((format) => formats[format].canDemux)
+        },
+        checkedAt: new Date().toISOString()
+      });
+    });
+  }
+}
+
+// Concurrent callers share one probe; failures are not cached so the next request retries
+function getCapabilities(callback) {
+  if (capabilities) return callback(null, capabilities);
+  if (capabilityWaiters) return capabilityWaiters.push(callback);
+
+  capabilityWaiters = [callback];
+  collectCapabilities((err, result) => {
+    if (!err) capabilities = result;
+    const waiters = capabilityWaiters;
+    capabilityWaiters = null;
+    waiters.forEach((waiter) => waiter(err, result));
+  });
+}
+
+app.get('/capabilities', (req, res) => {
+  const timestamp = new Date().toISOString();
+  getCapabilities((err, result) => {
+    if (err) {
+      logger.info(`[${timestamp}] CAPABILITIES request failed: ${err.message}`);
+      return sendError(res, 503, err.message);
+    }
+    res.json(result);
+  });
+});
+
+// Liveness and readiness
+// /health/live only says the process is serving requests (restart it if not). /health/ready says
+// whether it should be sent new work: enough free disk, a queue that isn't saturated, and ffmpeg
+// able to encode a tiny test clip.
+const READY_MAX_QUEUED_JOBS = parseInt(process.env.READY_MAX_QUEUED_JOBS, 10) || 20;
+// The test encode is cached briefly so frequent probes don't each start ffmpeg
+const READY_ENCODE_CACHE = 30 * 1000;
+const READY_ENCODE_TIMEOUT = 10 * 1000;
+
+let lastTestEncode = null;
+
+function runTestEncode(callback) {
+  if (lastTestEncode && Date.now() - lastTestEncode.checkedAt < READY_ENCODE_CACHE) {
+    return callback(lastTestEncode.result);
+  }
+
+  const startedAt = Date.now();
+  // The null muxer alone would pass frames through as wrapped_avframe; mjpeg is built into every
+  // ffmpeg, so this runs a real encoder without depending on optional libraries
+  const args = ['-hide_banner', '-f', 'lavfi', '-i', 'color=c=black:s=16x16:d=0.1', '-frames:v', '1', '-c:v', 'mjpeg', '-f', 'null', '-'];
+  execFile(FFMPEG_BINARY, args, { timeout: READY_ENCODE_TIMEOUT }, (err, stdout, stderr) => {
+    const result = err
+      ? { ok: false, error: (stderr || '').trim().split('\n').pop() || err.message }
+      : { ok: true, durationMs: Date.now() - startedAt };
+    lastTestEncode = { checkedAt: Date.now(), result };
+    callback(result);
+  });
+}
+
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'OK', uptime: process.uptime(), version: SERVICE_VERSION });
+});
+
+app.get('/health/ready', (req, res) => {
+  const timestamp = new Date().toISOString();
+  const queue = {
+    ok: jobQueue.length < READY_MAX_QUEUED_JOBS,
+    running: runningJobs,
+    maxConcurrent: MAX_CONCURRENT_JOBS,
+    queued: jobQueue.length,
+    maxQueued: READY_MAX_QUEUED_JOBS
+  };
+
+  fs.statfs(uploadDir, (statError, stats) => {
+    const disk = statError
+      ? { ok: false, error: statError.message }
+      : { ok: stats.bavail * stats.bsize >= MIN_FREE_DISK_BYTES, freeBytes: stats.bavail * stats.bsize, minFreeBytes: MIN_FREE_DISK_BYTES };
+
+    runTestEncode((encode) => {
+      const checks = { disk, queue, ffmpeg: encode };
+      const failing = Object.keys(checks).filter((name) => !checks[name].ok);
+      if (failing.length > 0) {
+        logger.info(`[${timestamp}] READY check failed: ${failing.join(', ')}`);
+      }
+      res.status(failing.length > 0 ? 503 : 200).json({
+        status: failing.length > 0 ? 'NOT_READY' : 'READY',
+        timestamp,
+        checks
+      });
+    });
+  });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Media summary (?view=summary on /info and /probe)
+// A normalized view of the ffprobe output so clients don't have to re-parse it.
+const METADATA_VIEWS = ['raw', 'summary'];
+
+// What current browsers decode, per container family; `partial` lists codecs only some browsers handle
+const MP4_PLAYBACK = { video: ['h264', 'av1', 'vp9'], audio: ['aac', 'mp3', 'opus', 'flac'], partial: ['hevc', 'ac3', 'eac3'] };
+const WEB_PLAYBACK = {
+  mp4: MP4_PLAYBACK,
+  // Same codecs as MP4; webPlayability marks the container itself as Safari-only
+  mov: MP4_PLAYBACK,
+  webm: { video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis'], partial: [] },
+  ogg: { video: ['theora'], audio: ['opus', 'vorbis', 'flac'], partial: [] },
+  mp3: { video: [], audio: ['mp3'], partial: [] },
+  wav: { video: [], audio: ['pcm_s16le', 'pcm_u8', 'pcm_f32le'], partial: [] },
+  flac: { video: [], audio: ['flac'], partial: [] },
+  adts: { video: [], audio: ['aac'], partial: [] }
+};
+
+function numberOrNull(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || value === 'N/A' || Number.isNaN(number) ? null : number;
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+function parseRatio(value) {
+  const [num, den] = String(value || '').split(':').map(Number);
+  return num > 0 && den > 0 ? num / den : 1;
+}
+
+function streamLanguage(stream) {
+  const language = stream.tags?.language;
+  return language && language !== 'und' ? language : null;
+}
+
+function videoBitDepth(stream) {
+  const raw = numberOrNull(stream.bits_per_raw_sample);
+  if (raw) return raw;
+  const match = String(stream.pix_fmt || '').match(/p(\d{2})(le|be)$/);
+  return match ? Number(match[1]) : (stream.pix_fmt ? 8 : null);
+}
+
+function hdrFormat(stream) {
+  if (stream.color_transfer === 'smpte2084') return 'HDR10';
+  if (stream.color_transfer === 'arib-std-b67') return 'HLG';
+  return null;
+}
+
+function summarizeVideo(stream) {
+  const sampleAspectRatio = stream.sample_aspect_ratio && stream.sample_aspect_ratio !== '0:1' && stream.sample_aspect_ratio !== 'N/A'
+    ? stream.sample_aspect_ratio
+    : '1:1';
+  // Apply the pixel aspect ratio first, then the rotation
+  const rotated = displayDimensions({ ...stream, width: Math.round(stream.width * parseRatio(sampleAspectRatio)) });
+  const divisor = greatestCommonDivisor(rotated.width, rotated.height) || 1;
+  const fps = parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate);
+  const hdr = hdrFormat(stream);
+
+  return {
+    index: stream.index,
+    codec: stream.codec_name,
+    profile: stream.profile || null,
+    level: numberOrNull(stream.level),
+    width: stream.width,
+    height: stream.height,
+    rotation: Number(stream.tags?.rotate ?? stream.rotation ?? 0),
+    sampleAspectRatio,
+    displayWidth: rotated.width,
+    displayHeight: rotated.height,
+    displayAspectRatio: `${rotated.width / divisor}:${rotated.height / divisor}`,
+    fps: fps ? Number(fps.toFixed(3)) : null,
+    pixelFormat: stream.pix_fmt || null,
+    bitDepth: videoBitDepth(stream),
+    bitrate: numberOrNull(stream.bit_rate),
+    hdr: Boolean(hdr),
+    hdrFormat: hdr,
+    color: {
+      range: stream.color_range || null,
+      space: stream.color_space || null,
+      transfer: stream.color_transfer || null,
+      primaries: stream.color_primaries || null
+    }
+  };
+}
+
+// Container family used for the browser check; Matroska only counts as WebM with WebM codecs
+function playbackContainer(formatName, tags) {
+  const names = String(formatName || '').split(',');
+  if (names.includes('mp4') || names.includes('mov')) return tags?.major_brand?.trim() === 'qt' ? 'mov' : 'mp4';
+  if (names.includes('webm') || names.includes('matroska')) return 'webm';
+  return names.find((name) => WEB_PLAYBACK[name]) || names[0] || null;
+}
+
+function webPlayability(container, video, audio) {
+  const support = WEB_PLAYBACK[container];
+  const reasons = [];
+  let verdict = 'yes';
+  const check = (kind, codec, allowed) => {
+    if (allowed.includes(codec)) return;
+    if (support.partial.includes(codec)) {
+      if (verdict === 'yes') verdict = 'partial';
+      reasons.push(`${kind} codec ${codec} is only supported by some browsers`);
+    } else {
+      verdict = 'no';
+      reasons.push(`${kind} codec ${codec} is not supported by browsers in ${container}`);
+    }
+  };
+
+  if (!support) {
+    return { verdict: 'no', reasons: [`Container ${container || 'unknown'} is not supported by browsers`] };
+  }
+  if (container === 'mov') {
+    verdict = 'partial';
+    reasons.push('QuickTime (.mov) files only play reliably in Safari');
+  }
+  if (video) {
+    check('Video', video.codec, support.video);
+    if (video.codec === 'h264' && (video.bitDepth > 8 || !['yuv420p', 'yuvj420p', null].includes(video.pixelFormat))) {
+      verdict = 'no';
+      reasons.push(`H.264 with ${video.pixelFormat} is not decoded by browsers; use yuv420p`);
+    }
+  }
+  if (audio[0]) {
+    check('Audio', audio[0].codec, support.audio);
+  }
+  return { verdict, reasons };
+}
+
+function summarizeMetadata(metadata) {
+  const format = metadata.format || {};
+  const streams = metadata.streams || [];
+  const videoStreams = streams.filter((stream) => stream.codec_type === 'video' && stream.disposition?.attached_pic !== 1);
+  const primaryVideo = videoStreams.find((stream) => stream.disposition?.default === 1) || videoStreams[0];
+
+  const video = primaryVideo ? summarizeVideo(primaryVideo) : null;
+  const audio = streams.filter((stream) => stream.codec_type === 'audio').map((stream) => ({
+    index: stream.index,
+    codec: stream.codec_name,
+    profile: stream.profile || null,
+    language: streamLanguage(stream),
+    title: stream.tags?.title || null,
+    channels: numberOrNull(stream.channels),
+    channelLayout: stream.channel_layout || null,
+    sampleRate: numberOrNull(stream.sample_rate),
+    bitrate: numberOrNull(stream.bit_rate),
+    default: stream.disposition?.default === 1
+  }));
+  const subtitles = streams.filter((stream) => stream.codec_type === 'subtitle').map((stream) => ({
+    index: stream.index,
+    codec: stream.codec_name,
+    language: streamLanguage(stream),
+    title: stream.tags?.title || null,
+    default: stream.disposition?.default === 1,
+    forced: stream.disposition?.forced === 1
+  }));
+  const chapters = (metadata.chapters || []).map((chapter) => ({
+    start: numberOrNull(chapter.start_time),
+    end: numberOrNull(chapter.end_time),
+    title: chapter['TAG:title'] || chapter.tags?.title || null
+  }));
+  const container = playbackContainer(format.format_name, format.tags);
+
+  return {
+    container: {
+      format: format.format_name || null,
+      formatLongName: format.format_long_name || null,
+      family: container,
+      size: numberOrNull(format.size),
+      streams: streams.length
+    },
+    duration: numberOrNull(format.duration),
+    bitrate: numberOrNull(format.bit_rate),
+    video,
+    audio,
+    subtitles,
+    chapters,
+    tags: format.tags || {},
+    webPlayable: webPlayability(container, video, audio)
+  };
+}
+
+// `view` from the query string or body; returns the view name or null if unsupported
+function metadataView(req) {
+  const view = String(req.query.view ?? req.body?.view ?? 'raw').toLowerCase();
+  return METADATA_VIEWS.includes(view) ? view : null;
+}
+
+// Get complete media metadata via ffprobe (supports URL and thumbnail generation)
+// The URL is downloaded like any remote input (allowlist, timeout and size limit) and probed locally
+app.post('/probe', validateRequest, remoteInput, remoteOutput, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const { url, format = 'jpg', time } = req.body;
+  const thumbnail = booleanParam(req.body.thumbnail);
+
+  if (!req.file) {
+    logger.info(`[${timestamp}] PROBE request failed: No URL provided`);
+    return sendError(res, 400, 'No URL provided. Please provide a "url" parameter in the request body.');
+  }
+
+  const view = metadataView(req);
+  if (!view) {
+    logger.info(`[${timestamp}] PROBE request failed: Unsupported view`);
+    return sendError(res, 400, `Unsupported view. Supported views: ${METADATA_VIEWS.join(', ')}`);
+  }
+
+  const sourcePath = req.file.path;
+
+  logger.info(`[${timestamp}] Processing PROBE request - URL: ${url}${thumbnail ? ` (with thumbnail: ${format})` : ''}`);
+
+  // Use ffprobe directly to get complete metadata (equivalent to: ffprobe -v quiet -print_format json -show_format -show_streams)
+  ffmpeg.ffprobe(sourcePath, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] PROBE request failed: ${err.message}`);
+      return sendError(res, 500, err.message);
+    }
+
+    const duration = metadata.format?.duration || 0;
+    const streams = metadata.streams?.length || 0;
+    logger.info(`[${timestamp}] PROBE metadata retrieved - Duration: ${duration}s, Streams: ${streams}`);
+
+    // If thumbnail is requested, generate it
+    if (thumbnail) {
+      const supportedFormats = IMAGE_FORMATS;
+      const thumbnailFormat = format.toLowerCase();
+      
+      if (!supportedFormats.includes(thumbnailFormat)) {
+        logger.info(`[${timestamp}] PROBE thumbnail request failed: Unsupported format ${format}`);
+        return sendError(res, 400, `Unsupported thumbnail format: ${format}. Supported formats: ${supportedFormats.join(', ')}`, {
+          details: { metadata }
+        });
+      }
+
+      // Determine the time to extract thumbnail (default: 1 second or middle of video)
+      let thumbnailTime = time;
+      if (thumbnailTime === undefined || thumbnailTime === null) {
+        thumbnailTime = duration > 2 ? 1 : duration / 2;
+      }
+      thumbnailTime = Math.max(0.1, Math.min(thumbnailTime, duration - 0.1));
+
+      const outputFileName = uniqueFileName(`thumbnail.${thumbnailFormat}`);
+      const outputPath = path.join(outputDir, outputFileName);
+      
+      logger.info(`[${timestamp}] Generating thumbnail at ${thumbnailTime.toFixed(2)}s from ${duration}s video`);
+
+      // Create ffmpeg command to extract thumbnail
+      let command = createFfmpegCommand(sourcePath)
+        .seekInput(thumbnailTime)
+        .frames(1);
+
+      // Set format-specific options
+      command = applyImageFormatOptions(command, thumbnailFormat);
+
+      // Stop ffmpeg if the client hangs up before the thumbnail is sent
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          logger.info(`[${timestamp}] PROBE client disconnected, stopping thumbnail extraction`);
+          command.kill('SIGKILL');
+        }
+      });
+
+      // Extract frame at specified timestamp
+      command
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          logger.info(`[${timestamp}] FFmpeg thumbnail extraction started: ${commandLine}`);
+        })
+        .on('end', () => {
+          const outputStats = fs.statSync(outputPath);
+          logger.info(`[${timestamp}] PROBE request completed - Thumbnail: ${outputStats.size} bytes (${thumbnailFormat})`);
+          
+          // Send the thumbnail file
+          sendOutputFile(req, res, outputPath, timestamp);
+        })
+        .on('error', (err) => {
+          removePath(outputPath);
+          logger.info(`[${timestamp}] PROBE thumbnail generation failed: ${err.message}`);
+          // If thumbnail generation fails, still return metadata
+          sendError(res, 500, 'Failed to generate thumbnail: ' + err.message, { details: { metadata } });
+        })
+        .run();
+    } else {
+      // Return metadata only
+      logger.info(`[${timestamp}] PROBE request completed - Duration: ${duration}s, Streams: ${streams}`);
+      res.json(view === 'summary' ? summarizeMetadata(metadata) : metadata);
+    }
+  });
+});
+
+// Get media file information
+app.post('/info', upload.single('file'), rawInput(), validateRequest, remoteInput, (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  if (!req.file) {
+    logger.info(`[${timestamp}] INFO request failed: No file uploaded or URL provided`);
+    return sendError(res, 400, 'No file uploaded or URL provided');
+  }
+
+  const view = metadataView(req);
+  if (!view) {
+    removePath(req.file.path);
+    logger.info(`[${timestamp}] INFO request failed: Unsupported view`);
+    return sendError(res, 400, `Unsupported view. Supported views: ${METADATA_VIEWS.join(', ')}`);
+  }
+
+  logger.info(`[${timestamp}] Processing INFO request - File: ${req.file.originalname} (${req.file.size} bytes)`);
+
+  ffmpeg.ffprobe(req.file.path, (err, metadata) => {
+    // Clean up uploaded file
+    removePath(req.file.path);
+
+    if (err) {
+      logger.info(`[${timestamp}] INFO request failed: ${err.message}`);
+      return sendError(res, 500, err.message);
+    }
+
+    const duration = metadata.format?.duration || 0;
+    const streams = metadata.streams?.length || 0;
+    logger.info(`[${timestamp}] INFO request completed - Duration: ${duration}s, Streams: ${streams}`);
+
+    res.json(view === 'summary' ? summarizeMetadata(metadata) : metadata);
+  });
+});
+
+// Start from the selected profile (if any); fields sent with the request override it.
+// Returns { params } for runConvertJob or { error }.
+function parseConvertParams(body) {
+  const { profile } = body;
+  let settings = {};
+  if (profile) {
+    if (!encodingProfiles[profile]) {
+      return { error: `Unknown profile: ${profile}. Available profiles: ${Object.keys(encodingProfiles).join(', ')}` };
+    }
+    settings = { ...encodingProfiles[profile] };
+  }
+  for (const name of ['format', ...ENCODING_PARAMS]) {
+    if (body[name] !== undefined && body[name] !== '') {
+      settings[name] = body[name];
+    }
+  }
+
+  const format = String(settings.format || 'mp4').toLowerCase();
+  const { params: encoding, error } = validateEncodingParams(settings);
+  if (error || checkMediaFormat(format)) {
+    return { error: error || checkMediaFormat(format) };
+  }
+  return { params: { format, profile: profile || null, encoding } };
+}
+
+// Formats that can be written to a non-seekable stream (stream=true): the ffmpeg muxer and its options.
+// MP4/MOV are written fragmented so that no index has to be patched in at the end.
+const STREAMING_OUTPUTS = {
+  mp4: { muxer: 'mp4', options: ['-movflags', 'frag_keyframe+empty_moov+default_base_moof'] },
+  mov: { muxer: 'mov', options: ['-movflags', 'frag_keyframe+empty_moov+default_base_moof'] },
+  webm: { muxer: 'webm', options: [] },
+  mkv: { muxer: 'matroska', options: [] },
+  ts: { muxer: 'mpegts', options: [] }
+};
+
+// Run a convert job: transcode the uploaded file into the requested format
+function runConvertJob(job, callback) {
+  const { timestamp } = job;
+  const { format, encoding } = job.params;
+  const streaming = job.outputStream ? STREAMING_OUTPUTS[format] : null;
+  const outputPath = streaming ? null : path.join(outputDir, uniqueFileName(`output.${format}`));
+
+  // A streamed response is only complete once ffmpeg has exited cleanly and its stdout has drained
+  let succeeded = false;
+  let drained = false;
+  const endStream = () => {
+    if (succeeded && drained) job.outputStream.end();
+  };
+
+  job.command = applyEncodingParams(createFfmpegCommand(job.inputStream || job.inputPath), encoding)
+    .toFormat(streaming ? streaming.muxer : MEDIA_FORMATS[format])
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg conversion started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage: 'convert', commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, 'convert', progress);
+      if (progress.percent) {
+        job.progress = Math.round(progress.percent);
+        const elapsed = ((Date.now() - job.startedAt) / 1000).toFixed(1);
+        logger.info(`[${timestamp}] Conversion progress: ${job.progress}% - Elapsed: ${elapsed}s`);
+      }
+    })
+    .on('end', () => {
+      const totalProcessTime = ((Date.now() - job.startedAt) / 1000).toFixed(1);
+      if (streaming) {
+        logger.info(`[${timestamp}] CONVERT request completed - Output streamed (${format})`);
+        succeeded = true;
+        endStream();
+      } else {
+        const outputStats = fs.statSync(outputPath);
+        logger.info(`[${timestamp}] CONVERT request completed - Output: ${outputStats.size} bytes`);
+      }
+      logger.info(`[${timestamp}] Total conversion time: ${totalProcessTime}s`);
+      callback(null, outputPath);
+    })
+    .on('error', (err) => {
+      removePath(outputPath);
+      logger.info(`[${timestamp}] CONVERT request failed: ${err.message}`);
+      // Report an oversized or aborted streamed upload as such rather than as an ffmpeg failure
+      callback(err.inputStreamError || err);
+    });
+
+  if (streaming) {
+    job.outputStream.attachment(`output.${format}`);
+    job.outputStream.once('unpipe', () => {
+      drained = true;
+      endStream();
+    });
+    job.command.outputOptions(streaming.options).pipe(job.outputStream, { end: false });
+  } else {
+    job.command.save(outputPath);
+  }
+}
+
+// Convert media file
+app.post('/convert', upload.single('file'), rawInput({ stream: true }), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  
+  if (!req.file) {
+    logger.info(`[${timestamp}] CONVERT request failed: No file uploaded or URL provided`);
+    return sendError(res, 400, 'No file uploaded or URL provided');
+  }
+
+  let { params, error } = parseConvertParams(req.body);
+  const stream = booleanParam(req.body.stream);
+  if (!error && stream && !STREAMING_OUTPUTS[params.format]) {
+    error = `stream=true is not supported for ${params.format}. Streamable formats: ${Object.keys(STREAMING_OUTPUTS).join(', ')}`;
+  } else if (!error && stream && (isAsyncRequest(req) || req.outputTarget)) {
+    error = 'stream=true cannot be combined with async=true or outputUrl';
+  }
+  if (error) {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] CONVERT request failed: ${error}`);
+    return sendError(res, 400, error);
+  }
+  const { format, profile } = params;
+  req.streamOutput = stream;
+
+  logger.info(`[${timestamp}] Processing CONVERT request - File: ${req.file.originalname} (${req.file.stream ? 'streamed' : `${req.file.size} bytes`}) -> ${format}${profile ? ` (profile: ${profile})` : ''}${stream ? ' (streamed output)' : ''}`);
+
+  const job = createJob('convert', req.file, params, timestamp, runConvertJob);
+  respondWithJob(req, res, job, 'CONVERT');
+});
+
+// Parse a time given as seconds ("12.5") or as [[hh:]mm:]ss[.ms] ("00:01:02.5"); NaN if invalid
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (!/^(\d+:){1,2}\d+(\.\d+)?$/.test(text)) return NaN;
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Returns { params } for runTrimJob or { error }
+function parseTrimParams(body) {
+  const { mode = 'fast' } = body;
+  const format = String(body.format || 'mp4').toLowerCase();
+  const start = parseTimestamp(body.start) ?? 0;
+  const end = parseTimestamp(body.end);
+  const duration = parseTimestamp(body.duration);
+
+  if (!['fast', 'accurate'].includes(mode)) {
+    return { error: `Unsupported mode: ${mode}. Supported modes: fast, accurate` };
+  }
+  if (checkMediaFormat(format)) {
+    return { error: checkMediaFormat(format) };
+  }
+  if ([start, end, duration].some((value) => Number.isNaN(value))) {
+    return { error: 'Invalid time value. Use seconds (e.g. 12.5) or hh:mm:ss[.ms]' };
+  }
+  if (end !== undefined && duration !== undefined) {
+    return { error: 'Use either end or duration, not both' };
+  }
+  if (end !== undefined && end <= start) {
+    return { error: 'end must be greater than start' };
+  }
+  if (duration !== undefined && duration <= 0) {
+    return { error: 'duration must be greater than 0' };
+  }
+  return { params: { format, mode, start, end, duration } };
+}
+
+// Run a trim job: cut [start, start + duration) out of the input
+function runTrimJob(job, callback) {
+  const { timestamp } = job;
+  const { format, mode, start } = job.params;
+  const outputFileName = uniqueFileName(`trimmed.${format}`);
+  const outputPath = path.join(outputDir, outputFileName);
+
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] TRIM probe failed: ${err.message}`);
+      return callback(new Error('Failed to analyze video: ' + err.message));
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const mediaDuration = Number(metadata.format?.duration) || 0;
+    if (mediaDuration && start >= mediaDuration) {
+      const rangeError = new Error(`start (${start}s) is beyond the end of the media (${mediaDuration}s)`);
+      rangeError.statusCode = 400;
+      return callback(rangeError);
+    }
+    // Without end or duration the clip runs to the end of the media
+    const duration = job.params.duration ?? (job.params.end !== undefined ? job.params.end - start : null);
+
+    job.command = createFfmpegCommand(job.inputPath).seekInput(start);
+    if (duration) {
+      job.command.duration(duration);
+    }
+
+    if (mode === 'fast') {
+      // Stream copy: no re-encode, so the cut snaps to the keyframe before start
+      job.command.outputOptions(['-c', 'copy', '-avoid_negative_ts', 'make_zero']);
+    }
+
+    job.command
+      .toFormat(MEDIA_FORMATS[format])
+      .on('start', (commandLine) => {
+        logger.info(`[${timestamp}] FFmpeg trim started (${mode}): ${commandLine}`);
+        emitJobEvent(job, 'start', { stage: 'trim', commandLine });
+      })
+      .on('progress', (progress) => {
+        emitJobProgress(job, 'trim', progress);
+        if (progress.percent) {
+          job.progress = Math.round(progress.percent);
+        }
+      })
+      .on('end', () => {
+        const totalProcessTime = ((Date.now() - job.startedAt) / 1000).toFixed(1);
+        const outputStats = fs.statSync(outputPath);
+        logger.info(`[${timestamp}] TRIM request completed - Output: ${outputStats.size} bytes - from ${start}s${duration ? ` for ${duration}s` : ' to end'} (${mode})`);
+        logger.info(`[${timestamp}] Total trim time: ${totalProcessTime}s`);
+        callback(null, outputPath);
+      })
+      .on('error', (err) => {
+        removePath(outputPath);
+        logger.info(`[${timestamp}] TRIM request failed: ${err.message}`);
+        callback(err);
+      });
+
+    job.command.save(outputPath);
+  });
+}
+
+// Trim media file
+app.post('/trim', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  if (!req.file) {
+    logger.info(`[${timestamp}] TRIM request failed: No file uploaded or URL provided`);
+    return sendError(res, 400, 'No file uploaded or URL provided');
+  }
+
+  const { params, error } = parseTrimParams(req.body);
+  if (error) {
+    removePath(req.file.path);
+    logger.info(`[${timestamp}] TRIM request failed: ${error}`);
+    return sendError(res, 400, error);
+  }
+  const { format, mode, start, end, duration } = params;
+
+  logger.info(`[${timestamp}] Processing TRIM request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${format} (${mode}, start: ${start}s${end !== undefined ? `, end: ${end}s` : ''}${duration !== undefined ? `, duration: ${duration}s` : ''})`);
+
+  const job = createJob('trim', req.file, params, timestamp, runTrimJob);
+  respondWithJob(req, res, job, 'TRIM');
+});
+
+const MAX_CONCAT_FILES = parseInt(process.env.MAX_CONCAT_FILES, 10) || 20;
+
+// Parse an ffprobe frame rate such as "30000/1001"
+function parseFrameRate(rate) {
+  const [num, den = 1] = String(rate || '').split('/').map(Number);
+  return num > 0 && den > 0 ? num / den : 0;
+}
+
+// Describe the streams that must match for the concat demuxer to join files losslessly
+function concatSignature(metadata) {
+  const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+  const audio = metadata.streams.find((stream) => stream.codec_type === 'audio');
+  return JSON.stringify({
+    video: video ? [video.codec_name, video.width, video.height, video.pix_fmt, video.r_frame_rate] : null,
+    audio: audio ? [audio.codec_name, audio.sample_rate, audio.channels] : null
+  });
+}
+
+// Probe each input in order; callback(err, metadataList)
+function probeAll(inputPaths, callback) {
+  const results = [];
+  const next = (index) => {
+    if (index === inputPaths.length) return callback(null, results);
+    ffmpeg.ffprobe(inputPaths[index], (err, metadata) => {
+      if (err) return callback(err, null, index);
+      results.push(metadata);
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+// Run a concat job: join the inputs with the concat demuxer when their codecs match,
+// otherwise normalize them and join with the concat filter
+function runConcatJob(job, callback) {
+  const { timestamp } = job;
+  const { format } = job.params;
+  const outputFileName = uniqueFileName(`concat.${format}`);
+  const outputPath = path.join(outputDir, outputFileName);
+
+  probeAll(job.inputPaths, (err, metadataList, failedIndex) => {
+    if (err) {
+      logger.info(`[${timestamp}] CONCAT probe failed on file ${failedIndex + 1}: ${err.message}`);
+      return callback(new Error(`Failed to analyze file ${failedIndex + 1}: ${err.message}`));
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const signatures = metadataList.map(concatSignature);
+    const method = signatures.every((signature) => signature === signatures[0]) ? 'demuxer' : 'filter';
+    let listPath = null;
+
+    logger.info(`[${timestamp}] CONCAT method: ${method} (${metadataList.length} files)`);
+    emitJobEvent(job, 'concat', { method, files: metadataList.length });
+
+    if (method === 'demuxer') {
+      // Matching codecs: join losslessly through a concat list file
+      listPath = path.join(job.workspace, 'concat-list.txt');
+      const list = job.inputPaths
+        .map((inputPath) => `file '${path.resolve(inputPath).replace(/'/g, "'\\''")}'`)
+        .join('\n');
+      fs.writeFileSync(listPath, list + '\n');
+
+      job.command = createFfmpegCommand(listPath)
+        .inputOptions(['-f', 'concat', '-safe', '0'])
+        .outputOptions(['-c', 'copy']);
+    } else {
+      // Mismatched codecs: normalize every input to the first one's geometry and frame rate
+      const hasVideo = metadataList.every((metadata) => metadata.streams.some((stream) => stream.codec_type === 'video'));
+      const hasAudio = metadataList.every((metadata) => metadata.streams.some((stream) => stream.codec_type === 'audio'));
+      if (!hasVideo && !hasAudio) {
+        const streamError = new Error('Files have no stream type in common (all need video or all need audio)');
+        streamError.statusCode = 400;
+        return callback(streamError);
+      }
+
+      const firstVideo = metadataList[0].streams.find((stream) => stream.codec_type === 'video');
+      const width = Math.round((firstVideo?.width || 1280) / 2) * 2;
+      const height = Math.round((firstVideo?.height || 720) / 2) * 2;
+      const fps = parseFrameRate(firstVideo?.r_frame_rate) || 30;
+
+      const filters = [];
+      const concatInputs = [];
+      job.inputPaths.forEach((inputPath, index) => {
+        if (hasVideo) {
+          filters.push(`[${index}:v:0]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${index}]`);
+          concatInputs.push(`[v${index}]`);
+        }
+        if (hasAudio) {
+          filters.push(`[${index}:a:0]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a${index}]`);
+          concatInputs.push(`[a${index}]`);
+        }
+      });
+      const outputs = [hasVideo && 'outv', hasAudio && 'outa'].filter(Boolean);
+      filters.push(`${concatInputs.join('')}concat=n=${job.inputPaths.length}:v=${hasVideo ? 1 : 0}:a=${hasAudio ? 1 : 0}${outputs.map((name) => `[${name}]`).join('')}`);
+
+      job.command = createFfmpegCommand();
+      job.inputPaths.forEach((inputPath) => job.command.input(inputPath));
+      job.command.complexFilter(filters, outputs);
+    }
+
+    const cleanupList = () => {
+      removePath(listPath);
+    };
+
+    job.command
+      .toFormat(MEDIA_FORMATS[format])
+      .on('start', (commandLine) => {
+        logger.info(`[${timestamp}] FFmpeg concat started: ${commandLine}`);
+        emitJobEvent(job, 'start', { stage: 'concat', commandLine });
+      })
+      .on('progress', (progress) => {
+        emitJobProgress(job, 'concat', progress);
+        if (progress.percent) {
+          job.progress = Math.round(progress.percent);
+        }
+      })
+      .on('end', () => {
+        cleanupList();
+        const totalProcessTime = ((Date.now() - job.startedAt) / 1000).toFixed(1);
+        const outputStats = fs.statSync(outputPath);
+        logger.info(`[${timestamp}] CONCAT request completed - Output: ${outputStats.size} bytes (${method})`);
+        logger.info(`[${timestamp}] Total concat time: ${totalProcessTime}s`);
+        callback(null, outputPath);
+      })
+      .on('error', (err) => {
+        cleanupList();
+        removePath(outputPath);
+        logger.info(`[${timestamp}] CONCAT request failed: ${err.message}`);
+        callback(err);
+      });
+
+    job.command.save(outputPath);
+  });
+}
+
+// Concatenate several media files
+app.post('/concat', upload.array('files', MAX_CONCAT_FILES), validateRequest, remoteInputs, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  if (!req.files || req.files.length < 2) {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] CONCAT request failed: Fewer than 2 files uploaded`);
+    return sendError(res, 400, 'At least 2 inputs must be given in the "files" field or as "urls"');
+  }
+
+  if (req.files.length > MAX_CONCAT_FILES) {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] CONCAT request failed: Too many inputs (${req.files.length})`);
+    return sendError(res, 400, `At most ${MAX_CONCAT_FILES} inputs can be concatenated`);
+  }
+
+  const format = String(req.body.format || 'mp4').toLowerCase();
+  if (checkMediaFormat(format)) {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] CONCAT request failed: Unsupported format`);
+    return sendError(res, 400, checkMediaFormat(format));
+  }
+
+  const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
+
+  logger.info(`[${timestamp}] Processing CONCAT request - Files: ${req.files.map((file) => file.originalname).join(', ')} (${totalSize} bytes) -> ${format}`);
+
+  const job = createJob('concat', req.files, { format }, timestamp, runConcatJob);
+  respondWithJob(req, res, job, 'CONCAT');
+});
+
+// Adaptive bitrate packaging (HLS / DASH)
+const packagesDir = path.join(outputDir, 'packages');
+if (!fs.existsSync(packagesDir)) {
+  fs.mkdirSync(packagesDir);
+}
+
+// Default ladder; override with PACKAGE_LADDER (JSON array) or a `ladder` field per request.
+// Rungs taller than the source are skipped.
+const DEFAULT_LADDER = [
+  { height: 1080, videoBitrate: '5000k', audioBitrate: '192k' },
+  { height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+  { height: 480, videoBitrate: '1400k', audioBitrate: '128k' },
+  { height: 360, videoBitrate: '800k', audioBitrate: '96k' }
+];
+const LADDER_FIELDS = ['width', 'height', 'videoBitrate', 'audioBitrate'];
+const MAX_LADDER_RUNGS = 8;
+
+// Validate a ladder (array or JSON string); returns { ladder } or { error }
+function parseLadder(value) {
+  let ladder = value;
+  if (typeof ladder === 'string') {
+    try {
+      ladder = JSON.parse(ladder);
+    } catch (err) {
+      return { error: 'Invalid ladder: not valid JSON' };
+    }
+  }
+  if (!Array.isArray(ladder) || ladder.length === 0 || ladder.length > MAX_LADDER_RUNGS) {
+    return { error: `Invalid ladder: expected an array of 1 to ${MAX_LADDER_RUNGS} renditions` };
+  }
+
+  const rungs = [];
+  for (const [index, rung] of ladder.entries()) {
+    const unknown = Object.keys(rung || {}).filter((key) => !LADDER_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return { error: `Invalid ladder rendition ${index + 1}: unsupported field ${unknown.join(', ')}. Supported fields: ${LADDER_FIELDS.join(', ')}` };
+    }
+    const { params, error } = validateEncodingParams(rung);
+    if (error) {
+      return { error: `Invalid ladder rendition ${index + 1}: ${error}` };
+    }
+    if (!(params.width || params.height) || !params.videoBitrate) {
+      return { error: `Invalid ladder rendition ${index + 1}: height (or width) and videoBitrate are required` };
+    }
+    rungs.push(params);
+  }
+  return { ladder: rungs };
+}
+
+const defaultLadder = (() => {
+  if (!process.env.PACKAGE_LADDER) return DEFAULT_LADDER;
+  const { ladder, error } = parseLadder(process.env.PACKAGE_LADDER);
+  if (error) {
+    logger.error(`[${new Date().toISOString()}] Ignoring PACKAGE_LADDER: ${error}`);
+    return DEFAULT_LADDER;
+  }
+  return ladder;
+})();
+
+// Split the video into one scaled output per rendition and set per-stream rates.
+// Codec and preset go through the same applyEncodingParams() setup as /convert.
+function buildLadderCommand(source, renditions, { preset, segmentDuration, hasAudio, audioPerRendition }) {
+  const command = applyEncodingParams(createFfmpegCommand(source), {
+    videoCodec: 'libx264',
+    audioCodec: hasAudio ? 'aac' : 'none',
+    preset,
+    pixelFormat: 'yuv420p'
+  });
+
+  const splitLabels = renditions.map((rendition, index) => `[s${index}]`).join('');
+  const filters = [`[0:v:0]split=${renditions.length}${splitLabels}`];
+  renditions.forEach((rendition, index) => {
+    filters.push(`[s${index}]${buildScaleFilters(rendition).join(',')}[v${index}]`);
+  });
+  command.complexFilter(filters, renditions.map((rendition, index) => `v${index}`));
+
+  const audioRenditions = hasAudio ? (audioPerRendition ? renditions : renditions.slice(0, 1)) : [];
+  audioRenditions.forEach(() => command.outputOptions(['-map', '0:a:0']));
+
+  renditions.forEach((rendition, index) => {
+    const kbps = parseInt(rendition.videoBitrate, 10);
+    command.outputOptions([
+      `-b:v:${index}`, `${kbps}k`,
+      `-maxrate:v:${index}`, `${Math.round(kbps * 1.07)}k`,
+      `-bufsize:v:${index}`, `${Math.round(kbps * 1.5)}k`
+    ]);
+  });
+  audioRenditions.forEach((rendition, index) => {
+    command.outputOptions([`-b:a:${index}`, rendition.audioBitrate || '128k']);
+  });
+
+  // Keyframes on segment boundaries so every rendition can be switched between cleanly
+  return command.outputOptions([
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+    '-sc_threshold', '0'
+  ]);
+}
+
+// Run one packager (hls or dash) into packageDir; callback(err)
+function runPackager(job, packager, source, renditions, options, callback) {
+  const { timestamp } = job;
+  const { segmentDuration, encrypt, keyUrl } = job.params;
+  const targetDir = path.join(packageDirFor(job), packager);
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  let keyInfoPath = null;
+  let outputPath;
+  const command = buildLadderCommand(source, renditions, { ...options, audioPerRendition: packager === 'hls' });
+
+  if (packager === 'hls') {
+    renditions.forEach((rendition, index) => fs.mkdirSync(path.join(targetDir, `v${index}`)));
+    const streamMap = renditions
+      .map((rendition, index) => (options.hasAudio ? `v:${index},a:${index}` : `v:${index}`))
+      .join(' ');
+
+    command.format('hls').outputOptions([
+      '-hls_time', String(segmentDuration),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_filename', path.join(targetDir, 'v%v', 'segment_%03d.ts'),
+      '-master_pl_name', 'master.m3u8',
+      '-var_stream_map', streamMap
+    ]);
+
+    if (encrypt) {
+      // AES-128: a random key written next to the playlists; the key info file stays outside the package
+      const keyPath = path.join(targetDir, 'enc.key');
+      keyInfoPath = path.join(job.workspace, 'enc.keyinfo');
+      fs.writeFileSync(keyPath, crypto.randomBytes(16));
+      fs.writeFileSync(keyInfoPath, `${keyUrl || '../enc.key'}\n${keyPath}\n${crypto.randomBytes(16).toString('hex')}\n`);
+      command.outputOptions(['-hls_key_info_file', keyInfoPath]);
+    }
+    outputPath = path.join(targetDir, 'v%v', 'index.m3u8');
+  } else {
+    command.format('dash').outputOptions([
+      '-seg_duration', String(segmentDuration),
+      '-use_template', '1',
+      '-use_timeline', '1',
+      '-init_seg_name', 'init-$RepresentationID$.m4s',
+      '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+      '-adaptation_sets', options.hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v'
+    ]);
+    outputPath = path.join(targetDir, 'manifest.mpd');
+  }
+
+  const cleanupKeyInfo = () => {
+    removePath(keyInfoPath);
+  };
+
+  job.command = command
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg ${packager.toUpperCase()} packaging started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage: packager, commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, packager, progress);
+      if (progress.percent) {
+        job.progress = Math.round(progress.percent);
+      }
+    })
+    .on('end', () => {
+      cleanupKeyInfo();
+      logger.info(`[${timestamp}] ${packager.toUpperCase()} packaging completed (${renditions.length} renditions)`);
+      callback(null);
+    })
+    .on('error', (err) => {
+      cleanupKeyInfo();
+      logger.info(`[${timestamp}] ${packager.toUpperCase()} packaging failed: ${err.message}`);
+      callback(err);
+    });
+
+  job.command.save(outputPath);
+}
+
+function packageDirFor(job) {
+  return path.join(packagesDir, job.id);
+}
+
+// List every file under dir, relative to it
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const relative = path.posix.join(prefix, entry.name);
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relative) : [relative];
+  });
+}
+
+function zipDirectory(sourceDir, zipPath, callback) {
+  const output = fs.createWriteStream(zipPath);
+  // Segments are already compressed, so store them as-is
+  const archive = archiver('zip', { store: true });
+
+  output.on('close', () => callback(null));
+  archive.on('error', callback);
+  archive.pipe(output);
+  archive.directory(sourceDir, false);
+  archive.finalize();
+}
+
+// Run a package job: probe the source, pick the renditions that fit it, then run each packager
+function runPackageJob(job, callback) {
+  const { timestamp } = job;
+  const { packagers, ladder, output, preset, segmentDuration } = job.params;
+  const source = job.inputPath;
+  const packageDir = packageDirFor(job);
+
+  const fail = (err) => {
+    removePath(packageDir);
+    callback(err);
+  };
+
+  ffmpeg.ffprobe(source, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] PACKAGE probe failed: ${err.message}`);
+      return callback(new Error('Failed to analyze video: ' + err.message));
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+    const hasAudio = metadata.streams.some((stream) => stream.codec_type === 'audio');
+    if (!video) {
+      const streamError = new Error('No video stream found to package');
+      streamError.statusCode = 400;
+      return callback(streamError);
+    }
+
+    // Don't upscale: keep rungs that fit the source, or at least the smallest one
+    const fitting = ladder.filter((rung) => (!rung.height || rung.height <= video.height) && (!rung.width || rung.width <= video.width));
+    const renditions = fitting.length > 0 ? fitting : [ladder[ladder.length - 1]];
+    logger.info(`[${timestamp}] PACKAGE renditions for ${video.width}x${video.height} source: ${renditions.map((rung) => `${rung.width || ''}x${rung.height || ''}@${rung.videoBitrate}`).join(', ')}`);
+
+    const options = { preset, segmentDuration, hasAudio };
+    const runNext = (index) => {
+      if (index === packagers.length) return done();
+      if (job.cancelRequested) return fail(new Error('Job was cancelled'));
+      runPackager(job, packagers[index], source, renditions, options, (packagerError) => {
+        if (packagerError) return fail(packagerError);
+        runNext(index + 1);
+      });
+    };
+
+    const done = () => {
+      const manifests = {};
+      if (packagers.includes('hls')) manifests.hls = 'hls/master.m3u8';
+      if (packagers.includes('dash')) manifests.dash = 'dash/manifest.mpd';
+
+      if (output === 'zip') {
+        const zipPath = path.join(outputDir, uniqueFileName('package.zip'));
+        return zipDirectory(packageDir, zipPath, (zipError) => {
+          removePath(packageDir);
+          if (zipError) {
+            removePath(zipPath);
+            return callback(zipError);
+          }
+          logger.info(`[${timestamp}] PACKAGE request completed - Zip: ${fs.statSync(zipPath).size} bytes`);
+          callback(null, zipPath);
+        });
+      }
+
+      const baseUrl = `/packages/${job.id}`;
+      const files = listFiles(packageDir);
+      logger.info(`[${timestamp}] PACKAGE request completed - ${files.length} files at ${baseUrl}`);
+      callback(null, packageDir, {
+        baseUrl,
+        hls: manifests.hls ? `${baseUrl}/${manifests.hls}` : null,
+        dash: manifests.dash ? `${baseUrl}/${manifests.dash}` : null,
+        renditions,
+        files: files.map((file) => `${baseUrl}/${file}`),
+        expiresAt: new Date(Date.now() + JOB_RESULT_TTL).toISOString()
+      });
+    };
+
+    runNext(0);
+  });
+}
+
+// Package a video for adaptive streaming (HLS and/or DASH)
+app.post('/package', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const rejectRequest = (error) => {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] PACKAGE request failed: ${error}`);
+    return sendError(res, 400, error);
+  };
+
+  if (!req.file) {
+    return rejectRequest('No file uploaded or URL provided');
+  }
+
+  const packagers = [...new Set(String(req.body.formats || 'hls').toLowerCase().split(',').map((name) => name.trim()))];
+  const { output = 'zip', preset = 'veryfast' } = req.body;
+  const segmentDuration = Number(req.body.segmentDuration || 6);
+  const encrypt = booleanParam(req.body.encrypt);
+  const { keyUrl } = req.body;
+
+  if (packagers.some((name) => !['hls', 'dash'].includes(name))) {
+    return rejectRequest(`Unsupported formats: ${req.body.formats}. Supported formats: hls, dash`);
+  }
+  if (!['zip', 'path'].includes(output)) {
+    return rejectRequest(`Unsupported output: ${output}. Supported outputs: zip, path`);
+  }
+  if (output === 'path' && req.outputTarget) {
+    return rejectRequest('outputUrl can only be used with output=zip');
+  }
+  if (!ENCODING_ALLOWLIST.preset.includes(preset)) {
+    return rejectRequest(`Unsupported preset: ${preset}. Supported values: ${ENCODING_ALLOWLIST.preset.join(', ')}`);
+  }
+  if (!Number.isInteger(segmentDuration) || segmentDuration < 1 || segmentDuration > 30) {
+    return rejectRequest('Invalid segmentDuration: expected an integer between 1 and 30');
+  }
+  if (encrypt && !packagers.includes('hls')) {
+    return rejectRequest('encrypt is only supported for hls');
+  }
+  if (keyUrl !== undefined && !/^(https?:\/\/|\/|\.\.?\/)?[\w\-./]+$/.test(keyUrl)) {
+    return rejectRequest('Invalid keyUrl');
+  }
+
+  let ladder = defaultLadder;
+  if (req.body.ladder) {
+    const parsed = parseLadder(req.body.ladder);
+    if (parsed.error) {
+      return rejectRequest(parsed.error);
+    }
+    ladder = parsed.ladder;
+  }
+
+  logger.info(`[${timestamp}] Processing PACKAGE request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${packagers.join('+')} (${output}${encrypt ? ', AES-128' : ''})`);
+
+  const job = createJob('package', req.file, {
+    packagers, output, preset, segmentDuration, encrypt, keyUrl, ladder
+  }, timestamp, runPackageJob);
+  respondWithJob(req, res, job, 'PACKAGE');
+});
+
+// Serve packaged HLS/DASH output (output=path) to the key that created the job until the job expires
+app.use('/packages/:jobId', requireJobOwner);
+app.use('/packages', express.static(packagesDir));
+
+// Thresholds for the "best frame" screenshot analysis
+const BEST_FRAME_SAMPLE_FPS = 2;
+const SCENE_CUT_THRESHOLD = 0.3;
+const SCENE_CUT_MARGIN = 1;
+const BEST_FRAME_WINDOW = 5;
+
+// Map a seed to a number in [0, 1) so the same seed always picks the same timestamp
+function seededRandom(seed) {
+  return crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0) / 0x100000000;
+}
+
+// Find a good window for a screenshot: sample frames, drop black ones (blackframe) and
+// those around scene cuts or fades (scene score), then take the middle of the longest clean stretch.
+// callback(err, { start, end }) with a window of up to BEST_FRAME_WINDOW seconds
+function findBestFrameWindow(job, duration, callback) {
+  const { timestamp } = job;
+  const frames = [];
+  const blackTimes = new Set();
+  let current = null;
+
+  // Decodes the whole video, so it is registered as the job's command to be cancellable
+  job.command = createFfmpegCommand(job.inputPath)
+    .noAudio()
+    .videoFilters([
+      `fps=${BEST_FRAME_SAMPLE_FPS}`,
+      'scale=160:-2',
+      'select=gte(scene\\,0)',
+      'metadata=mode=print:key=lavfi.scene_score',
+      'blackframe=amount=98:threshold=32'
+    ])
+    .format('null')
+    .output('-')
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg best frame analysis started: ${commandLine}`);
+    })
+    .on('stderr', (stderrLine) => {
+      const frameMatch = stderrLine.match(/Parsed_metadata.*pts_time:([\d.]+)/);
+      const sceneMatch = stderrLine.match(/lavfi\.scene_score=([\d.]+)/);
+      const blackMatch = stderrLine.match(/Parsed_blackframe.*\bt:([\d.]+)/);
+      if (frameMatch) {
+        current = { time: Number(frameMatch[1]), scene: 0 };
+        frames.push(current);
+      } else if (sceneMatch && current) {
+        current.scene = Number(sceneMatch[1]);
+      } else if (blackMatch) {
+        blackTimes.add(Number(blackMatch[1]).toFixed(2));
+      }
+    })
+    .on('end', () => {
+      // Frames too close to the start/end, black, or near a cut are unusable
+      const cuts = frames.filter((frame) => frame.scene > SCENE_CUT_THRESHOLD).map((frame) => frame.time);
+      const isUsable = (frame) => frame.time >= duration * 0.05 &&
+        frame.time <= duration * 0.95 &&
+        !blackTimes.has(frame.time.toFixed(2)) &&
+        !cuts.some((cut) => Math.abs(frame.time - cut) <= SCENE_CUT_MARGIN);
+
+      let best = null;
+      let run = [];
+      for (const frame of [...frames, null]) {
+        if (frame && isUsable(frame)) {
+          run.push(frame);
+          continue;
+        }
+        if (!best || run.length > best.length) best = run;
+        run = [];
+      }
+
+      const windowAround = (center, min, max) => {
+        const start = Math.max(min, center - BEST_FRAME_WINDOW / 2);
+        return { start, end: Math.min(max, start + BEST_FRAME_WINDOW) };
+      };
+
+      if (!best || best.length === 0) {
+        logger.info(`[${timestamp}] Best frame analysis found no clean frames in ${frames.length} samples, using the middle`);
+        return callback(null, windowAround(duration / 2, 0, duration));
+      }
+      const center = best[Math.floor(best.length / 2)].time;
+      const window = windowAround(center, best[0].time, best[best.length - 1].time + 1 / BEST_FRAME_SAMPLE_FPS);
+      logger.info(`[${timestamp}] Best frame analysis: ${frames.length} samples, ${blackTimes.size} black, ${cuts.length} cuts -> ${window.start.toFixed(2)}s-${window.end.toFixed(2)}s`);
+      callback(null, window);
+    })
+    .on('error', (err) => {
+      callback(err);
+    })
+    .run();
+}
+
+// Returns { params } for captureScreenshot or { error }
+function parseScreenshotParams(body) {
+  const format = (body.format || 'jpg').toLowerCase();
+  const { mode = 'random', seed } = body;
+  const time = parseTimestamp(body.time);
+  const percent = body.percent === undefined || body.percent === '' ? undefined : Number(body.percent);
+
+  if (!IMAGE_FORMATS.includes(format)) {
+    return { error: `Unsupported format: ${body.format}. Supported formats: ${IMAGE_FORMATS.join(', ')}` };
+  }
+  if (!['random', 'best'].includes(mode)) {
+    return { error: `Unsupported mode: ${mode}. Supported modes: random, best` };
+  }
+  if (Number.isNaN(time)) {
+    return { error: 'Invalid time value. Use seconds (e.g. 12.5) or hh:mm:ss[.ms]' };
+  }
+  if (percent !== undefined && (Number.isNaN(percent) || percent < 0 || percent > 100)) {
+    return { error: 'Invalid percent: expected a number between 0 and 100' };
+  }
+  if (time !== undefined && percent !== undefined) {
+    return { error: 'Use either time or percent, not both' };
+  }
+  if ((time !== undefined || percent !== undefined) && (mode === 'best' || seed !== undefined)) {
+    return { error: 'time and percent cannot be combined with mode=best or seed' };
+  }
+  if (mode === 'best' && seed !== undefined) {
+    return { error: 'seed cannot be combined with mode=best' };
+  }
+  return { params: { format, mode, seed, time, percent } };
+}
+
+// Capture one frame of job.inputPath as described by job.params (see parseScreenshotParams).
+// callback(err, outputPath, { time, source }) reports where the frame was taken from.
+function captureScreenshot(job, callback) {
+  const { timestamp } = job;
+  const { format, mode, seed, time, percent } = job.params;
+
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] SCREENSHOT request failed: ${err.message}`);
+      return callback(new Error('Failed to get video metadata: ' + err.message));
+    }
+
+    const duration = metadata.format.duration;
+    if (!duration || duration <= 0) {
+      logger.info(`[${timestamp}] SCREENSHOT request failed: Invalid video duration`);
+      const durationError = new Error('Invalid video duration');
+      durationError.statusCode = 400;
+      return callback(durationError);
+    }
+    if (time !== undefined && time >= duration) {
+      logger.info(`[${timestamp}] SCREENSHOT request failed: time ${time}s beyond ${duration}s video`);
+      const rangeError = new Error(`time (${time}s) is beyond the end of the video (${duration}s)`);
+      rangeError.statusCode = 400;
+      return callback(rangeError);
+    }
+
+    // With a window, the thumbnail filter picks the most representative frame inside it
+    // (skipping blurry in-between frames) and showinfo reports which one it was
+    const captureAt = (screenshotTime, source, window) => {
+      if (job.cancelRequested) {
+        return callback(new Error('Job was cancelled'));
+      }
+      const outputFileName = uniqueFileName(`screenshot.${format}`);
+      const outputPath = path.join(outputDir, outputFileName);
+      
+      logger.info(`[${timestamp}] Generating screenshot at ${screenshotTime.toFixed(2)}s (${source}) from ${duration}s video`);
+
+      // Create ffmpeg command
+      let command = createFfmpegCommand(job.inputPath)
+        .seekInput(window ? window.start : screenshotTime)
+        .frames(1);
+
+      if (window) {
+        const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+        const windowFrames = Math.ceil((window.end - window.start) * (parseFrameRate(video?.r_frame_rate) || 25));
+        command = command
+          .duration(window.end - window.start)
+          .videoFilters([`thumbnail=${Math.max(1, Math.min(windowFrames, 300))}`, 'showinfo'])
+          .on('stderr', (stderrLine) => {
+            const match = stderrLine.match(/Parsed_showinfo.*pts_time:([\d.]+)/);
+            if (match) {
+              screenshotTime = window.start + Number(match[1]);
+            }
+          });
+      }
+
+      // Set format-specific options
+      job.command = applyImageFormatOptions(command, format);
+
+      // Extract frame at the chosen timestamp
+      job.command
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          logger.info(`[${timestamp}] FFmpeg screenshot started: ${commandLine}`);
+        })
+        .on('end', () => {
+          const outputStats = fs.statSync(outputPath);
+          logger.info(`[${timestamp}] SCREENSHOT request completed - Output: ${outputStats.size} bytes (${format})`);
+          callback(null, outputPath, { time: Number(screenshotTime.toFixed(3)), source });
+        })
+        .on('error', (err) => {
+          removePath(outputPath);
+          logger.info(`[${timestamp}] SCREENSHOT request failed: ${err.message}`);
+          callback(new Error('Failed to generate screenshot: ' + err.message));
+        })
+        .run();
+    };
+
+    if (time !== undefined) {
+      captureAt(time, 'time');
+    } else if (percent !== undefined) {
+      captureAt(Math.max(0, Math.min((duration * percent) / 100, duration - 0.1)), 'percent');
+    } else if (mode === 'best') {
+      findBestFrameWindow(job, duration, (analysisError, window) => {
+        if (analysisError) {
+          logger.info(`[${timestamp}] SCREENSHOT best frame analysis failed: ${analysisError.message}`);
+          return callback(new Error('Failed to analyze video: ' + analysisError.message));
+        }
+        captureAt((window.start + window.end) / 2, 'best', window);
+      });
+    } else {
+      // Random timestamp (not at the very beginning or end); reproducible when a seed is given
+      const random = seed !== undefined ? seededRandom(seed) : Math.random();
+      captureAt(random * (duration - 1) + 0.5, seed !== undefined ? 'seed' : 'random');
+    }
+  });
+}
+
+// Generate a screenshot from video: at an explicit time or percentage, at a (seeded) random
+// point, or at the best frame found by scene analysis
+app.post('/random-screenshot', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
   
-  if (!supportedFormats.includes(format.toLowerCase())) {
-    fs.unlinkSync(req.file.path);
-    console.log(`[${timestamp}] SCREENSHOT request failed: Unsupported format ${format}`);
-    return res.status(400).json({ 
-      error: `Unsupported format: ${format}. Supported formats: ${supportedFormats.join(', ')}` 
+  if (!req.file) {
+    logger.info(`[${timestamp}] SCREENSHOT request failed: No file uploaded or URL provided`);
+    return sendError(res, 400, 'No file uploaded or URL provided');
+  }
+
+  logger.info(`[${timestamp}] Processing SCREENSHOT request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${req.body.format || 'jpg'}`);
+
+  const { params, error } = parseScreenshotParams(req.body);
+  if (error) {
+    removePath(req.file.path);
+    logger.info(`[${timestamp}] SCREENSHOT request failed: ${error}`);
+    return sendError(res, 400, error);
+  }
+
+  // mode=best decodes the whole video, so every screenshot goes through the job queue
+  const job = createJob('screenshot', req.file, params, timestamp, (shotJob, callback) => {
+    captureScreenshot(shotJob, (err, outputPath, shot) => {
+      if (err) return callback(err);
+      // Report the timestamp so the same frame can be requested again with `time`
+      shotJob.responseHeaders = {
+        'X-Screenshot-Time': shot.time.toFixed(3),
+        'X-Screenshot-Source': shot.source
+      };
+      callback(null, outputPath);
+    });
+  });
+  respondWithJob(req, res, job, 'SCREENSHOT');
+});
+
+// Width/height as displayed, i.e. after applying rotation metadata
+function displayDimensions(stream) {
+  const rotation = Math.abs(Number(stream.tags?.rotate ?? stream.rotation ?? 0)) % 180;
+  return rotation === 90
+    ? { width: stream.height, height: stream.width }
+    : { width: stream.width, height: stream.height };
+}
+
+// Format seconds as a WebVTT timestamp (hh:mm:ss.mmm)
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const secs = Math.floor((ms % 60000) / 1000);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+const MAX_SPRITE_FRAMES = parseInt(process.env.MAX_SPRITE_FRAMES, 10) || 2000;
+
+// Sample a frame every `interval` seconds, tile them into sheets and map each sample to its tile in a WebVTT track
+function renderSprites(job, metadata, video, workDir, callback) {
+  const { timestamp } = job;
+  const { format, columns, rows, width = 160 } = job.params;
+  const duration = Number(metadata.format.duration);
+  const interval = Number((job.params.interval ?? duration / job.params.count).toFixed(3));
+  const extension = format === 'jpeg' ? 'jpg' : format;
+
+  const source = displayDimensions(video);
+  const tileWidth = width;
+  const tileHeight = Math.max(2, Math.round((width * source.height) / source.width / 2) * 2);
+  const frameCount = Math.max(1, Math.ceil(duration / interval));
+  const tilesPerSheet = columns * rows;
+  const sheetCount = Math.ceil(frameCount / tilesPerSheet);
+  const sheetName = (index) => `sprite_${String(index + 1).padStart(3, '0')}.${extension}`;
+
+  if (frameCount > MAX_SPRITE_FRAMES) {
+    const countError = new Error(`Too many frames (${frameCount}); increase interval or lower count (max ${MAX_SPRITE_FRAMES})`);
+    countError.statusCode = 400;
+    return callback(countError);
+  }
+
+  logger.info(`[${timestamp}] Rendering ${frameCount} frames (every ${interval}s) into ${sheetCount} ${columns}x${rows} sheet(s) of ${tileWidth}x${tileHeight} tiles`);
+
+  let command = createFfmpegCommand(job.inputPath)
+    .videoFilters([`fps=1/${interval}`, `scale=${tileWidth}:${tileHeight}`, `tile=${columns}x${rows}`])
+    .frames(sheetCount);
+  command = applyImageFormatOptions(command, format);
+
+  job.command = command
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg sprite sheet started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage: 'sprites', commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, 'sprites', progress);
+      if (progress.percent) {
+        job.progress = Math.round(progress.percent);
+      }
+    })
+    .on('end', () => {
+      const cues = ['WEBVTT', ''];
+      for (let index = 0; index < frameCount; index++) {
+        const position = index % tilesPerSheet;
+        const x = (position % columns) * tileWidth;
+        const y = Math.floor(position / columns) * tileHeight;
+        cues.push(
+          `${formatVttTime(index * interval)} --> ${formatVttTime(Math.min((index + 1) * interval, duration))}`,
+          `${sheetName(Math.floor(index / tilesPerSheet))}#xywh=${x},${y},${tileWidth},${tileHeight}`,
+          ''
+        );
+      }
+      fs.writeFileSync(path.join(workDir, 'thumbnails.vtt'), cues.join('\n'));
+      callback(null);
+    })
+    .on('error', (err) => {
+      logger.info(`[${timestamp}] SPRITES sheet generation failed: ${err.message}`);
+      callback(err);
+    });
+
+  job.command.save(path.join(workDir, `sprite_%03d.${extension}`));
+}
+
+// Take `count` screenshots spread evenly across the video (the middle of each equal slice)
+function captureScreenshots(job, metadata, workDir, callback) {
+  const { timestamp } = job;
+  const { format, count, width } = job.params;
+  const duration = Number(metadata.format.duration);
+  const extension = format === 'jpeg' ? 'jpg' : format;
+  const screenshots = [];
+
+  const next = (index) => {
+    if (index === count) {
+      fs.writeFileSync(path.join(workDir, 'screenshots.json'), JSON.stringify(screenshots, null, 2));
+      return callback(null);
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const time = (duration * (index + 0.5)) / count;
+    const fileName = `screenshot_${String(index + 1).padStart(3, '0')}.${extension}`;
+
+    let command = createFfmpegCommand(job.inputPath)
+      .seekInput(time)
+      .frames(1);
+    if (width) {
+      command = command.videoFilters(`scale=${width}:-2`);
+    }
+    command = applyImageFormatOptions(command, format);
+
+    job.command = command
+      .on('start', (commandLine) => {
+        emitJobEvent(job, 'start', { stage: 'screenshots', commandLine });
+      })
+      .on('end', () => {
+        screenshots.push({ file: fileName, time: Number(time.toFixed(3)) });
+        job.progress = Math.round(((index + 1) / count) * 100);
+        emitJobEvent(job, 'progress', { stage: 'screenshots', percent: job.progress, frames: index + 1 });
+        next(index + 1);
+      })
+      .on('error', (err) => {
+        logger.info(`[${timestamp}] SPRITES screenshot at ${time.toFixed(2)}s failed: ${err.message}`);
+        callback(err);
+      });
+
+    job.command.save(path.join(workDir, fileName));
+  };
+
+  logger.info(`[${timestamp}] Capturing ${count} evenly spaced screenshots from ${duration}s video`);
+  next(0);
+}
+
+// Run a sprites job and zip everything it produced
+function runSpritesJob(job, callback) {
+  const { timestamp } = job;
+  const { mode } = job.params;
+  const workDir = path.join(job.workspace, 'sprites');
+
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] SPRITES request failed: ${err.message}`);
+      return callback(new Error('Failed to get video metadata: ' + err.message));
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+    const duration = Number(metadata.format?.duration);
+    if (!video || !duration || duration <= 0) {
+      const inputError = new Error(video ? 'Invalid video duration' : 'No video stream found');
+      inputError.statusCode = 400;
+      return callback(inputError);
+    }
+
+    fs.mkdirSync(workDir);
+    const done = (renderError) => {
+      if (renderError) {
+        removePath(workDir);
+        return callback(renderError);
+      }
+
+      const zipPath = path.join(outputDir, uniqueFileName(`${mode}.zip`));
+      zipDirectory(workDir, zipPath, (zipError) => {
+        removePath(workDir);
+        if (zipError) {
+          removePath(zipPath);
+          return callback(zipError);
+        }
+        logger.info(`[${timestamp}] SPRITES request completed - Zip: ${fs.statSync(zipPath).size} bytes (${mode})`);
+        callback(null, zipPath);
+      });
+    };
+
+    if (mode === 'screenshots') {
+      captureScreenshots(job, metadata, workDir, done);
+    } else {
+      renderSprites(job, metadata, video, workDir, done);
+    }
+  });
+}
+
+// Returns { params } for runSpritesJob or { error }
+function parseSpritesParams(body) {
+  const { mode = 'sprite' } = body;
+  const format = (body.format || 'jpg').toLowerCase();
+  const ranges = { interval: [0.1, 3600], count: [1, 1000], columns: [1, 20], rows: [1, 20], width: [16, 1920] };
+  const params = { mode, format, columns: 10, rows: 10 };
+
+  if (!['sprite', 'screenshots'].includes(mode)) {
+    return { error: `Unsupported mode: ${mode}. Supported modes: sprite, screenshots` };
+  }
+  if (!IMAGE_FORMATS.includes(format)) {
+    return { error: `Unsupported format: ${format}. Supported formats: ${IMAGE_FORMATS.join(', ')}` };
+  }
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    const value = body[name];
+    if (value === undefined || value === '') continue;
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min || number > max || (name !== 'interval' && !Number.isInteger(number))) {
+      return { error: `Invalid ${name}: ${value}. Expected a number between ${min} and ${max}` };
+    }
+    params[name] = number;
+  }
+
+  if (params.width && params.width % 2 !== 0) {
+    return { error: 'Invalid width: must be an even number' };
+  }
+  if (params.interval !== undefined && params.count !== undefined) {
+    return { error: 'Use either interval or count, not both' };
+  }
+  if (mode === 'screenshots' && params.interval !== undefined) {
+    return { error: 'screenshots mode takes count, not interval' };
+  }
+
+  if (params.interval === undefined && params.count === undefined) {
+    if (mode === 'sprite') {
+      params.interval = 10;
+    } else {
+      params.count = 10;
+    }
+  }
+  return { params };
+}
+
+// Generate thumbnail sprite sheets with a WebVTT track, or N evenly spaced screenshots
+app.post('/sprites', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  if (!req.file) {
+    logger.info(`[${timestamp}] SPRITES request failed: No file uploaded or URL provided`);
+    return sendError(res, 400, 'No file uploaded or URL provided');
+  }
+
+  const { params, error } = parseSpritesParams(req.body);
+  if (error) {
+    removePath(req.file.path);
+    logger.info(`[${timestamp}] SPRITES request failed: ${error}`);
+    return sendError(res, 400, error);
+  }
+  const { mode, format } = params;
+
+  logger.info(`[${timestamp}] Processing SPRITES request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${mode} (${format}, ${params.interval !== undefined ? `every ${params.interval}s` : `${params.count} frames`})`);
+
+  const job = createJob('sprites', req.file, params, timestamp, runSpritesJob);
+  respondWithJob(req, res, job, 'SPRITES');
+});
+
+// Animated previews
+// Short looping clips for listings: one clip (start/duration) or, in auto mode, several short
+// segments sampled evenly across the video. With maxBytes the preview is rendered again at the
+// next step of PREVIEW_QUALITY_STEPS until it fits.
+// `tuning` lists the quality step settings the format uses besides scale and fps
+const PREVIEW_FORMATS = {
+  gif: { extension: 'gif', muxer: 'gif', options: ['-loop', '0'], tuning: ['colors'] },
+  webp: { extension: 'webp', muxer: 'webp', options: ['-loop', '0'], tuning: ['quality'] },
+  apng: { extension: 'png', muxer: 'apng', options: ['-plays', '0'], tuning: [] }
+};
+// Each step scales the requested width and fps and sets the WebP quality and GIF palette size
+const PREVIEW_QUALITY_STEPS = [
+  { scale: 1, fps: 1, quality: 75, colors: 256 },
+  { scale: 1, fps: 1, quality: 55, colors: 128 },
+  { scale: 0.8, fps: 0.8, quality: 45, colors: 96 },
+  { scale: 0.65, fps: 0.65, quality: 35, colors: 64 },
+  { scale: 0.5, fps: 0.5, quality: 25, colors: 32 }
+];
+const PREVIEW_MAX_DURATION = 30;
+
+// The quality steps for a format, without those that would render the same file as the step before
+function previewQualitySteps(format) {
+  const keys = ['scale', 'fps', ...PREVIEW_FORMATS[format].tuning];
+  return PREVIEW_QUALITY_STEPS.filter((step, index) => (
+    index === 0 || keys.some((key) => step[key] !== PREVIEW_QUALITY_STEPS[index - 1][key])
+  ));
+}
+
+// Returns { params } for runPreviewJob or { error }
+function parsePreviewParams(body) {
+  const format = (body.format || 'gif').toLowerCase();
+  const start = parseTimestamp(body.start);
+  const duration = parseTimestamp(body.duration);
+  const mode = body.mode || (start !== undefined || duration !== undefined ? 'clip' : 'auto');
+  const ranges = {
+    width: [16, 1920], fps: [1, 30], segments: [1, 12], segmentDuration: [0.5, 5], maxBytes: [10 * 1024, 50 * 1024 * 1024]
+  };
+  const params = { format, mode, width: 480, fps: 10 };
+
+  if (!PREVIEW_FORMATS[format]) {
+    return { error: `Unsupported format: ${body.format}. Supported formats: ${Object.keys(PREVIEW_FORMATS).join(', ')}` };
+  }
+  if (!['clip', 'auto'].includes(mode)) {
+    return { error: `Unsupported mode: ${mode}. Supported modes: clip, auto` };
+  }
+  if ([start, duration].some((value) => Number.isNaN(value))) {
+    return { error: 'Invalid time value. Use seconds (e.g. 12.5) or hh:mm:ss[.ms]' };
+  }
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    const value = body[name];
+    if (value === undefined || value === '') continue;
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min || number > max || (name !== 'segmentDuration' && !Number.isInteger(number))) {
+      return { error: `Invalid ${name}: ${value}. Expected a number between ${min} and ${max}` };
+    }
+    params[name] = number;
+  }
+
+  if (mode === 'auto') {
+    if (start !== undefined || duration !== undefined) {
+      return { error: 'start and duration only apply to mode=clip' };
+    }
+    return { params: { segments: 5, segmentDuration: 1.5, ...params } };
+  }
+  if (params.segments !== undefined || params.segmentDuration !== undefined) {
+    return { error: 'segments and segmentDuration only apply to mode=auto' };
+  }
+  if (duration !== undefined && (duration <= 0 || duration > PREVIEW_MAX_DURATION)) {
+    return { error: `Invalid duration: expected more than 0 and at most ${PREVIEW_MAX_DURATION} seconds` };
+  }
+  return { params: { ...params, start: start ?? 0, duration: duration ?? 3 } };
+}
+
+// The parts of the video that make up the preview: [{ start, duration }] or { error }
+function planPreviewSegments(params, mediaDuration) {
+  if (params.mode === 'clip') {
+    if (params.start >= mediaDuration) {
+      return { error: `start (${params.start}s) is beyond the end of the video (${mediaDuration}s)` };
+    }
+    return { segments: [{ start: params.start, duration: Math.min(params.duration, mediaDuration - params.start) }] };
+  }
+
+  const { segments: count, segmentDuration } = params;
+  // Too short to sample: the whole video (up to what the segments would have added up to)
+  if (mediaDuration <= count * segmentDuration) {
+    return { segments: [{ start: 0, duration: Math.min(mediaDuration, count * segmentDuration) }] };
+  }
+  // Centered in equal slices of the video, so the very first and last frames are skipped
+  return {
+    segments: Array.from({ length: count }, (_, index) => {
+      const center = (mediaDuration * (index + 0.5)) / count;
+      const start = Math.max(0, Math.min(center - segmentDuration / 2, mediaDuration - segmentDuration));
+      return { start: Number(start.toFixed(3)), duration: segmentDuration };
+    })
+  };
+}
+
+// Render the preview once with the given width/fps/quality/colors. Every segment is its own input
+// (seeked before decoding), and they are joined with the concat filter. GIF takes two passes:
+// palettegen builds a palette for the clip, then paletteuse maps the frames onto it.
+function renderPreview(job, segments, settings, callback) {
+  const { timestamp } = job;
+  const { format } = job.params;
+  const { extension, muxer, options } = PREVIEW_FORMATS[format];
+  const outputPath = path.join(outputDir, uniqueFileName(`preview.${extension}`));
+  const palettePath = path.join(job.workspace, uniqueFileName('palette.png'));
+  const clipDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+  const clipCommand = () => {
+    const command = createFfmpegCommand();
+    const filters = segments.map((segment, index) => {
+      command.input(job.inputPath).seekInput(segment.start).inputOptions(['-t', String(segment.duration)]);
+      return `[${index}:v]fps=${settings.fps},scale='min(${settings.width},iw)':-2:flags=lanczos,setsar=1,setpts=PTS-STARTPTS[s${index}]`;
+    });
+    filters.push(`${segments.map((segment, index) => `[s${index}]`).join('')}concat=n=${segments.length}:v=1:a=0[clip]`);
+    return { command, filters };
+  };
+
+  const run = (command, stage, target, done) => {
+    job.command = command
+      .on('start', (commandLine) => {
+        logger.info(`[${timestamp}] FFmpeg preview ${stage} started: ${commandLine}`);
+        emitJobEvent(job, 'start', { stage, commandLine });
+      })
+      .on('progress', (progress) => {
+        emitJobProgress(job, stage, progress);
+        const seconds = parseTimestamp(progress.timemark);
+        if (stage === 'preview' && seconds > 0) {
+          job.progress = Math.max(job.progress, Math.min(99, Math.round((seconds / clipDuration) * 100)));
+        }
+      })
+      .on('end', () => done(null))
+      .on('error', (err) => {
+        removePath(target);
+        done(err);
+      });
+    job.command.save(target);
+  };
+
+  const encode = (paletteReady) => {
+    const { command, filters } = clipCommand();
+    let output = 'clip';
+    if (paletteReady) {
+      command.input(palettePath);
+      filters.push(`[clip][${segments.length}:v]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[preview]`);
+      output = 'preview';
+    }
+    applyImageFormatOptions(command, format, { quality: settings.quality })
+      .complexFilter(filters, output)
+      .outputOptions(options)
+      .format(muxer);
+    run(command, 'preview', outputPath, (err) => {
+      removePath(palettePath);
+      callback(err, outputPath);
+    });
+  };
+
+  if (format !== 'gif') {
+    return encode(false);
+  }
+
+  const { command, filters } = clipCommand();
+  filters.push(`[clip]palettegen=max_colors=${settings.colors}:stats_mode=diff[palette]`);
+  command.complexFilter(filters, 'palette').outputOptions(['-update', '1']);
+  run(command, 'palette', palettePath, (err) => {
+    if (err) return callback(err);
+    if (job.cancelRequested) {
+      removePath(palettePath);
+      return callback(new Error('Job was cancelled'));
+    }
+    encode(true);
+  });
+}
+
+// Run a preview job: plan the segments, then render (and with maxBytes, step the quality down
+// until the preview fits)
+function runPreviewJob(job, callback) {
+  const { timestamp } = job;
+  const { format, maxBytes } = job.params;
+
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] PREVIEW request failed: ${err.message}`);
+      return callback(new Error('Failed to get video metadata: ' + err.message));
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+    const duration = Number(metadata.format?.duration);
+    const plan = video && duration > 0 ? planPreviewSegments(job.params, duration) : null;
+    if (!plan || plan.error) {
+      const inputError = new Error(plan?.error || (video ? 'Invalid video duration' : 'No video stream found'));
+      inputError.statusCode = 400;
+      return callback(inputError);
+    }
+
+    const steps = maxBytes ? previewQualitySteps(format) : PREVIEW_QUALITY_STEPS.slice(0, 1);
+    const attempt = (index) => {
+      const step = steps[index];
+      const settings = {
+        width: Math.max(16, Math.round((job.params.width * step.scale) / 2) * 2),
+        fps: Math.max(1, Math.round(job.params.fps * step.fps)),
+        quality: step.quality,
+        colors: step.colors
+      };
+      logger.info(`[${timestamp}] Rendering ${format} preview (attempt ${index + 1}/${steps.length}): ${plan.segments.length} segment(s), ${settings.width}px, ${settings.fps} fps`);
+
+      renderPreview(job, plan.segments, settings, (renderError, outputPath) => {
+        if (renderError) {
+          logger.info(`[${timestamp}] PREVIEW request failed: ${renderError.message}`);
+          return callback(renderError);
+        }
+        const size = fs.statSync(outputPath).size;
+        if (!maxBytes || size <= maxBytes) {
+          logger.info(`[${timestamp}] PREVIEW request completed - Output: ${size} bytes (${format}, ${settings.width}px, ${settings.fps} fps)`);
+          return callback(null, outputPath);
+        }
+
+        removePath(outputPath);
+        if (job.cancelRequested) {
+          return callback(new Error('Job was cancelled'));
+        }
+        if (index + 1 < steps.length) {
+          logger.info(`[${timestamp}] Preview is ${size} bytes, over maxBytes (${maxBytes}); stepping quality down`);
+          return attempt(index + 1);
+        }
+        logger.info(`[${timestamp}] PREVIEW request failed: ${size} bytes at the lowest quality step, over maxBytes (${maxBytes})`);
+        const tooLarge = new Error(`The preview does not fit in ${maxBytes} bytes even at the lowest quality (${size} bytes); lower width, fps or duration`);
+        tooLarge.statusCode = 422;
+        tooLarge.errorCode = 'PREVIEW_TOO_LARGE';
+        tooLarge.details = { maxBytes, smallestSize: size };
+        callback(tooLarge);
+      });
+    };
+    attempt(0);
+  });
+}
+
+// Animated GIF/WebP/APNG preview of a video
+app.post('/preview', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  if (!req.file) {
+    logger.info(`[${timestamp}] PREVIEW request failed: No file uploaded or URL provided`);
+    return sendError(res, 400, 'No file uploaded or URL provided');
+  }
+
+  const { params, error } = parsePreviewParams(req.body);
+  if (error) {
+    removePath(req.file.path);
+    logger.info(`[${timestamp}] PREVIEW request failed: ${error}`);
+    return sendError(res, 400, error);
+  }
+
+  logger.info(`[${timestamp}] Processing PREVIEW request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${params.format} (${params.mode})`);
+
+  const job = createJob('preview', req.file, params, timestamp, runPreviewJob);
+  respondWithJob(req, res, job, 'PREVIEW');
+});
+
+// Audio
+// Output formats for /audio/extract and /audio/normalize: encoder, muxer and file extension
+const AUDIO_FORMATS = {
+  mp3: { codec: 'libmp3lame', format: 'mp3', extension: 'mp3' },
+  aac: { codec: 'aac', format: 'adts', extension: 'aac' },
+  opus: { codec: 'libopus', format: 'opus', extension: 'opus' },
+  flac: { codec: 'flac', format: 'flac', extension: 'flac' },
+  wav: { codec: 'pcm_s16le', format: 'wav', extension: 'wav' }
+};
+const MAX_WAVEFORM_PEAKS = 10000;
+// Sample rate the audio is decoded at for JSON peaks
+const WAVEFORM_SAMPLE_RATE = 8000;
+// silencedetect threshold (dB) and minimum silence length (s) when the request omits them
+const SILENCE_DEFAULTS = { noise: -30, minDuration: 0.5 };
+
+// Validate numeric body fields against [min, max] ranges; returns { values } or { error }
+function parseAudioNumbers(body, ranges, integers = []) {
+  const values = {};
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    const value = body[name];
+    if (value === undefined || value === '') continue;
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min || number > max || (integers.includes(name) && !Number.isInteger(number))) {
+      return { error: `Invalid ${name}: ${value}. Expected a number between ${min} and ${max}` };
+    }
+    values[name] = number;
+  }
+  return { values };
+}
+
+// Pick the audio stream by absolute stream index or language tag (first audio stream by default)
+function selectAudioStream(metadata, { stream, language }) {
+  const audioStreams = (metadata.streams || []).filter((candidate) => candidate.codec_type === 'audio');
+  let selected = audioStreams[0];
+  let error = 'No audio stream found';
+
+  if (stream !== undefined) {
+    selected = audioStreams.find((candidate) => candidate.index === stream);
+    error = `Stream ${stream} is not an audio stream. Audio streams: ${audioStreams.map((candidate) => candidate.index).join(', ') || 'none'}`;
+  } else if (language) {
+    selected = audioStreams.find((candidate) => (candidate.tags?.language || '').toLowerCase() === language.toLowerCase());
+    error = `No audio stream with language ${language}. Languages: ${audioStreams.map((candidate) => candidate.tags?.language || 'und').join(', ') || 'none'}`;
+  }
+
+  if (!selected) {
+    const err = new Error(error);
+    err.statusCode = 400;
+    return { error: err };
+  }
+  return { stream: selected };
+}
+
+// Probe the input and resolve the requested audio stream; callback(err, stream, metadata)
+function probeAudioStream(job, callback) {
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) return callback(err);
+    const { stream, error } = selectAudioStream(metadata, job.params);
+    if (error) return callback(error);
+    logger.info(`[${job.timestamp}] Using audio stream ${stream.index} (${stream.codec_name}${stream.tags?.language ? `, ${stream.tags.language}` : ''})`);
+    callback(null, stream, metadata);
+  });
+}
+
+// Stream selection and numeric ranges shared by the /audio routes; returns { params } or { error }
+function parseAudioSelection(body, ranges, integers = []) {
+  const { values, error } = parseAudioNumbers(body, { stream: [0, 1000], ...ranges }, ['stream', ...integers]);
+  if (error) {
+    return { error };
+  }
+  const { language } = body;
+  if (language !== undefined && !/^[a-z]{2,3}$/i.test(language)) {
+    return { error: `Invalid language: ${language}. Expected an ISO 639 code such as eng` };
+  }
+  if (values.stream !== undefined && language) {
+    return { error: 'Use either stream or language, not both' };
+  }
+  return { params: { ...values, language } };
+}
+
+// Shared body handling for the /audio routes: file check, stream selection and numeric ranges.
+// Returns the job params, or null after responding with 400.
+function parseAudioRequest(req, res, label, ranges, integers = []) {
+  const timestamp = new Date().toISOString();
+  const reject = (error) => {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] ${label} request failed: ${error}`);
+    sendError(res, 400, error);
+    return null;
+  };
+
+  if (!req.file) {
+    return reject('No file uploaded or URL provided');
+  }
+
+  const { params, error } = parseAudioSelection(req.body, ranges, integers);
+  if (error) {
+    return reject(error);
+  }
+  return { ...params, reject };
+}
+
+// Output format and bitrate for extract and normalize; returns { format, audioBitrate } or { error }
+function parseAudioEncoding(body) {
+  const format = (body.format || 'mp3').toLowerCase();
+  const { audioBitrate } = body;
+  if (!AUDIO_FORMATS[format]) {
+    return { error: `Unsupported format: ${body.format}. Supported formats: ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+  }
+  if (audioBitrate !== undefined && !/^\d{2,3}k$/.test(audioBitrate)) {
+    return { error: `Invalid audioBitrate: ${audioBitrate}. Expected a value such as 128k` };
+  }
+  return { format, audioBitrate };
+}
+
+// Run an audio encode of the selected stream, shared by extract and the second normalize pass
+function encodeAudio(job, stage, stream, audioFilters, callback) {
+  const { timestamp } = job;
+  const { codec, format, extension } = AUDIO_FORMATS[job.params.format];
+  const outputPath = path.join(outputDir, uniqueFileName(`${stage}.${extension}`));
+
+  job.command = createFfmpegCommand(job.inputPath)
+    .outputOptions(['-map', `0:${stream.index}`])
+    .noVideo()
+    .audioCodec(codec)
+    .format(format);
+  if (job.params.audioBitrate && !['flac', 'wav'].includes(job.params.format)) {
+    job.command.audioBitrate(job.params.audioBitrate);
+  }
+  if (audioFilters.length > 0) {
+    job.command.audioFilters(audioFilters);
+  }
+  if (job.params.sampleRate) {
+    job.command.audioFrequency(job.params.sampleRate);
+  }
+
+  job.command
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg audio ${stage} started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage, commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, stage, progress);
+      if (progress.percent) {
+        job.progress = Math.round(progress.percent);
+      }
+    })
+    .on('end', () => {
+      logger.info(`[${timestamp}] AUDIO ${stage.toUpperCase()} request completed - Output: ${fs.statSync(outputPath).size} bytes (${job.params.format})`);
+      callback(null, outputPath);
+    })
+    .on('error', (err) => {
+      removePath(outputPath);
+      logger.info(`[${timestamp}] AUDIO ${stage.toUpperCase()} request failed: ${err.message}`);
+      callback(err);
+    })
+    .save(outputPath);
+}
+
+// Run an analysis pass over the selected stream (output discarded); callback(err, lines) with the
+// stderr lines matching `linePattern`, so long inputs don't hold every progress line in memory
+function analyzeAudio(job, stage, stream, audioFilters, linePattern, callback) {
+  const { timestamp } = job;
+  const lines = [];
+
+  job.command = createFfmpegCommand(job.inputPath)
+    .outputOptions(['-map', `0:${stream.index}`])
+    .noVideo()
+    .audioFilters(audioFilters)
+    .format('null')
+    .output('-')
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg audio ${stage} started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage, commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, stage, progress);
+    })
+    .on('stderr', (stderrLine) => {
+      if (linePattern.test(stderrLine)) lines.push(stderrLine);
+    })
+    .on('end', () => callback(null, lines))
+    .on('error', (err) => {
+      logger.info(`[${timestamp}] AUDIO ${stage.toUpperCase()} analysis failed: ${err.message}`);
+      callback(err);
+    });
+  job.command.run();
+}
+
+function runAudioExtractJob(job, callback) {
+  probeAudioStream(job, (err, stream) => {
+    if (err) return callback(err);
+    encodeAudio(job, 'extract', stream, [], callback);
+  });
+}
+
+// Pass 1 measures loudness with loudnorm's JSON report, pass 2 applies it linearly
+function runAudioNormalizeJob(job, callback) {
+  const { timestamp } = job;
+  const { targetI, targetTP, targetLRA } = job.params;
+  const target = `I=${targetI}:TP=${targetTP}:LRA=${targetLRA}`;
+
+  probeAudioStream(job, (err, stream) => {
+    if (err) return callback(err);
+
+    // Only the lines of loudnorm's JSON report: braces and `"key" : "value"` pairs
+    const reportLine = /^\s*([{}]|"\w+"\s*:)/;
+    analyzeAudio(job, 'loudnorm-analysis', stream, [`loudnorm=${target}:print_format=json`], reportLine, (analysisError, lines) => {
+      if (analysisError) return callback(analysisError);
+
+      const output = lines.join('\n');
+      const report = output.slice(output.lastIndexOf('{'), output.lastIndexOf('}') + 1);
+      let measured;
+      try {
+        measured = JSON.parse(report);
+      } catch (parseError) {
+        return callback(new Error('Could not read loudnorm measurements'));
+      }
+      if (!Number.isFinite(Number(measured.input_i))) {
+        const silentError = new Error('Audio is silent, nothing to normalize');
+        silentError.statusCode = 422;
+        return callback(silentError);
+      }
+
+      logger.info(`[${timestamp}] Loudness measured - I: ${measured.input_i} LUFS, TP: ${measured.input_tp} dBTP, LRA: ${measured.input_lra} LU`);
+      emitJobEvent(job, 'loudness', {
+        inputI: Number(measured.input_i),
+        inputTP: Number(measured.input_tp),
+        inputLRA: Number(measured.input_lra),
+        inputThresh: Number(measured.input_thresh),
+        targetOffset: Number(measured.target_offset)
+      });
+
+      // loudnorm resamples to 192 kHz internally, so keep the source rate unless one was given
+      job.params.sampleRate = job.params.sampleRate || Number(stream.sample_rate) || 48000;
+      encodeAudio(job, 'normalize', stream, [
+        `loudnorm=${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=summary`
+      ], callback);
+    });
+  });
+}
+
+function renderWaveformImage(job, stream, callback) {
+  const { timestamp } = job;
+  const { width, height, color } = job.params;
+  const outputPath = path.join(outputDir, uniqueFileName('waveform.png'));
+
+  job.command = createFfmpegCommand(job.inputPath)
+    .complexFilter([`[0:${stream.index}]aformat=channel_layouts=mono,showwavespic=s=${width}x${height}:colors=0x${color}[waveform]`])
+    .outputOptions(['-map', '[waveform]', '-frames:v', '1'])
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg waveform started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage: 'waveform', commandLine });
+    })
+    .on('end', () => {
+      logger.info(`[${timestamp}] AUDIO WAVEFORM request completed - Output: ${fs.statSync(outputPath).size} bytes (png)`);
+      callback(null, outputPath);
+    })
+    .on('error', (err) => {
+      removePath(outputPath);
+      logger.info(`[${timestamp}] AUDIO WAVEFORM request failed: ${err.message}`);
+      callback(err);
+    })
+    .save(outputPath);
+}
+
+// Decode to mono 16-bit PCM on stdout and keep the peak of each bucket
+function computeWaveformPeaks(job, stream, duration, callback) {
+  const { timestamp } = job;
+  const { points } = job.params;
+  const samplesPerPeak = Math.max(1, Math.floor((duration * WAVEFORM_SAMPLE_RATE) / points));
+  const peaks = [];
+  let bucketPeak = 0;
+  let bucketSamples = 0;
+  let leftover = null;
+
+  job.command = createFfmpegCommand(job.inputPath)
+    .outputOptions(['-map', `0:${stream.index}`])
+    .noVideo()
+    .audioChannels(1)
+    .audioFrequency(WAVEFORM_SAMPLE_RATE)
+    .audioCodec('pcm_s16le')
+    .format('s16le')
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg waveform peaks started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage: 'waveform', commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, 'waveform', progress);
+    })
+    .on('end', () => {
+      if (bucketSamples > 0) peaks.push(bucketPeak);
+      logger.info(`[${timestamp}] AUDIO WAVEFORM request completed - ${peaks.length} peaks`);
+      callback(null, null, {
+        duration,
+        stream: stream.index,
+        sampleRate: WAVEFORM_SAMPLE_RATE,
+        samplesPerPeak,
+        secondsPerPeak: samplesPerPeak / WAVEFORM_SAMPLE_RATE,
+        peaks: peaks.map((peak) => Math.round((peak / 32768) * 10000) / 10000)
+      });
+    })
+    .on('error', (err) => {
+      logger.info(`[${timestamp}] AUDIO WAVEFORM request failed: ${err.message}`);
+      callback(err);
+    });
+
+  job.command.pipe().on('data', (chunk) => {
+    const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = data.length - (data.length % 2);
+    for (let offset = 0; offset < usable; offset += 2) {
+      bucketPeak = Math.max(bucketPeak, Math.abs(data.readInt16LE(offset)));
+      if (++bucketSamples === samplesPerPeak) {
+        peaks.push(bucketPeak);
+        bucketPeak = 0;
+        bucketSamples = 0;
+      }
+    }
+    leftover = usable < data.length ? data.subarray(usable) : null;
+  });
+}
+
+function runAudioWaveformJob(job, callback) {
+  probeAudioStream(job, (err, stream, metadata) => {
+    if (err) return callback(err);
+    if (job.params.format === 'png') {
+      return renderWaveformImage(job, stream, callback);
+    }
+    const duration = Number(stream.duration) || Number(metadata.format?.duration) || 0;
+    computeWaveformPeaks(job, stream, duration, callback);
+  });
+}
+
+function runAudioSilenceJob(job, callback) {
+  const { timestamp } = job;
+  const { noise, minDuration } = job.params;
+
+  probeAudioStream(job, (err, stream, metadata) => {
+    if (err) return callback(err);
+    const duration = Number(stream.duration) || Number(metadata.format?.duration) || 0;
+
+    analyzeAudio(job, 'silencedetect', stream, [`silencedetect=noise=${noise}dB:d=${minDuration}`], /silence_(start|end):/, (analysisError, lines) => {
+      if (analysisError) return callback(analysisError);
+
+      const silences = [];
+      let start = null;
+      for (const line of lines) {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: (-?[\d.]+)/);
+        if (startMatch) {
+          start = Math.max(0, Number(startMatch[1]));
+        } else if (endMatch && start !== null) {
+          silences.push({ start, end: Number(endMatch[1]) });
+          start = null;
+        }
+      }
+      // Silence running to the end of the file has no silence_end line
+      if (start !== null) {
+        silences.push({ start, end: duration });
+      }
+
+      const intervals = silences.map(({ start: from, end }) => ({
+        start: Number(from.toFixed(3)),
+        end: Number(end.toFixed(3)),
+        duration: Number((end - from).toFixed(3))
+      }));
+      const totalSilence = Number(intervals.reduce((sum, interval) => sum + interval.duration, 0).toFixed(3));
+      logger.info(`[${timestamp}] AUDIO SILENCE request completed - ${intervals.length} silent intervals, ${totalSilence}s total`);
+      callback(null, null, { duration, stream: stream.index, noise, minDuration, totalSilence, silences: intervals });
+    });
+  });
+}
+
+// Extract an audio track into an audio-only file
+app.post('/audio/extract', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const params = parseAudioRequest(req, res, 'AUDIO EXTRACT', { sampleRate: [8000, 96000] }, ['sampleRate']);
+  if (!params) return;
+
+  const { format, audioBitrate, error } = parseAudioEncoding(req.body);
+  if (error) {
+    return params.reject(error);
+  }
+
+  logger.info(`[${timestamp}] Processing AUDIO EXTRACT request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${format}`);
+
+  const job = createJob('audio-extract', req.file, {
+    format, stream: params.stream, language: params.language, audioBitrate, sampleRate: params.sampleRate
+  }, timestamp, runAudioExtractJob);
+  respondWithJob(req, res, job, 'AUDIO EXTRACT');
+});
+
+// Two-pass EBU R128 loudness normalization
+app.post('/audio/normalize', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const params = parseAudioRequest(req, res, 'AUDIO NORMALIZE', {
+    targetI: [-70, -5], targetTP: [-9, 0], targetLRA: [1, 50], sampleRate: [8000, 96000]
+  }, ['sampleRate']);
+  if (!params) return;
+
+  const { format, audioBitrate, error } = parseAudioEncoding(req.body);
+  if (error) {
+    return params.reject(error);
+  }
+
+  const { targetI = -16, targetTP = -1.5, targetLRA = 11 } = params;
+  logger.info(`[${timestamp}] Processing AUDIO NORMALIZE request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${targetI} LUFS, ${targetTP} dBTP, LRA ${targetLRA} (${format})`);
+
+  const job = createJob('audio-normalize', req.file, {
+    format, stream: params.stream, language: params.language, audioBitrate, sampleRate: params.sampleRate, targetI, targetTP, targetLRA
+  }, timestamp, runAudioNormalizeJob);
+  respondWithJob(req, res, job, 'AUDIO NORMALIZE');
+});
+
+// Waveform as a PNG image or as JSON peaks
+app.post('/audio/waveform', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const params = parseAudioRequest(req, res, 'AUDIO WAVEFORM', {
+    width: [16, 7680], height: [16, 2160], points: [10, MAX_WAVEFORM_PEAKS]
+  }, ['width', 'height', 'points']);
+  if (!params) return;
+
+  const format = (req.body.format || 'png').toLowerCase();
+  const color = String(req.body.color || '3b82f6').replace(/^#/, '');
+  if (!['png', 'json'].includes(format)) {
+    return params.reject(`Unsupported format: ${req.body.format}. Supported formats: png, json`);
+  }
+  if (!/^[0-9a-f]{6}$/i.test(color)) {
+    return params.reject(`Invalid color: ${req.body.color}. Expected a hex color such as 3b82f6`);
+  }
+  if (format === 'json' && req.outputTarget) {
+    return params.reject('outputUrl is only supported with format=png');
+  }
+
+  const { width = 1800, height = 280, points = 1000 } = params;
+  logger.info(`[${timestamp}] Processing AUDIO WAVEFORM request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${format === 'png' ? `png ${width}x${height}` : `${points} peaks`}`);
+
+  const job = createJob('audio-waveform', req.file, {
+    format, stream: params.stream, language: params.language, width, height, color, points
+  }, timestamp, runAudioWaveformJob);
+  respondWithJob(req, res, job, 'AUDIO WAVEFORM');
+});
+
+// Silent intervals found by silencedetect
+app.post('/audio/silence', upload.single('file'), rawInput(), validateRequest, remoteInput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const params = parseAudioRequest(req, res, 'AUDIO SILENCE', { noise: [-90, 0], minDuration: [0.01, 60] });
+  if (!params) return;
+
+  const { noise, minDuration } = { ...SILENCE_DEFAULTS, ...params };
+  logger.info(`[${timestamp}] Processing AUDIO SILENCE request - File: ${req.file.originalname} (${req.file.size} bytes) - Noise: ${noise}dB, Min duration: ${minDuration}s`);
+
+  const job = createJob('audio-silence', req.file, {
+    stream: params.stream, language: params.language, noise, minDuration
+  }, timestamp, runAudioSilenceJob);
+  respondWithJob(req, res, job, 'AUDIO SILENCE');
+});
+
+// Overlays: watermark image, drawtext and burned-in subtitles
+// Nothing from the request is pasted into the filtergraph as-is: text is written to a file and read
+// with `textfile` (expansion disabled), fonts and colors are checked against strict patterns, and
+// subtitle uploads are renamed to a generated file name before being handed to the subtitles filter.
+const OVERLAY_FORMATS = ['mp4', 'mkv', 'mov', 'webm'];
+const OVERLAY_ENCODING_FIELDS = ['videoCodec', 'crf', 'videoBitrate', 'preset', 'pixelFormat', 'audioCodec', 'audioBitrate'];
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt'];
+const MAX_TEXT_OVERLAYS = 20;
+const MAX_TEXT_LENGTH = 500;
+const NAMED_COLORS = ['white', 'black', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta', 'orange', 'gray'];
+
+// Position presets as [x, y] expressions; `W`/`H` and `w`/`h` are replaced per filter
+const OVERLAY_POSITIONS = {
+  'top-left': ['M', 'M'],
+  top: ['(W-w)/2', 'M'],
+  'top-right': ['W-w-M', 'M'],
+  left: ['M', '(H-h)/2'],
+  center: ['(W-w)/2', '(H-h)/2'],
+  right: ['W-w-M', '(H-h)/2'],
+  'bottom-left': ['M', 'H-h-M'],
+  bottom: ['(W-w)/2', 'H-h-M'],
+  'bottom-right': ['W-w-M', 'H-h-M']
+};
+
+// `names` maps W/H/w/h to the variables of the filter the expression is used in
+function positionExpressions(position, margin, names) {
+  return OVERLAY_POSITIONS[position].map((expression) => expression
+    .replace(/\b[WHwh]\b/g, (name) => names[name])
+    .replace(/\bM\b/g, String(margin)));
+}
+
+// Colors are a name from NAMED_COLORS or hex (#RRGGBB); returns the ffmpeg color or null
+function parseOverlayColor(value, opacity) {
+  const text = String(value).trim().toLowerCase();
+  let color = null;
+  if (NAMED_COLORS.includes(text)) {
+    color = text;
+  } else if (/^#?[0-9a-f]{6}$/.test(text)) {
+    color = `0x${text.replace('#', '')}`;
+  }
+  return color && opacity !== undefined ? `${color}@${opacity}` : color;
+}
+
+function parseOverlayNumber(value, name, min, max, fallback) {
+  if (value === undefined || value === null || value === '') return { value: fallback };
+  const number = Number(value);
+  if (Number.isNaN(number) || number < min || number > max) {
+    return { error: `Invalid ${name}: ${value}. Expected a number between ${min} and ${max}` };
+  }
+  return { value: number };
+}
+
+// Validate one text overlay; returns { overlay } or { error }
+function parseTextOverlay(spec, label) {
+  if (!spec || typeof spec !== 'object') {
+    return { error: `Invalid ${label}: expected an object` };
+  }
+
+  const text = spec.text === undefined || spec.text === null ? '' : String(spec.text);
+  if (!text.trim() || text.length > MAX_TEXT_LENGTH) {
+    return { error: `Invalid ${label}.text: expected 1 to ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  const position = spec.position || 'bottom-right';
+  if (!OVERLAY_POSITIONS[position]) {
+    return { error: `Unsupported ${label}.position: ${position}. Supported values: ${Object.keys(OVERLAY_POSITIONS).join(', ')}` };
+  }
+  if (spec.font !== undefined && !/^[A-Za-z0-9][A-Za-z0-9 \-]{0,63}$/.test(String(spec.font))) {
+    return { error: `Invalid ${label}.font: ${spec.font}. Expected a font family name such as DejaVu Sans` };
+  }
+
+  const numbers = {};
+  for (const [name, min, max, fallback] of [
+    ['fontSize', 8, 400, 32],
+    ['margin', 0, 2000, 20],
+    ['opacity', 0, 1, 1],
+    ['boxOpacity', 0, 1, 0.5],
+    ['boxBorder', 0, 100, 10]
+  ]) {
+    const parsed = parseOverlayNumber(spec[name], `${label}.${name}`, min, max, fallback);
+    if (parsed.error) return { error: parsed.error };
+    numbers[name] = parsed.value;
+  }
+
+  const fontColor = parseOverlayColor(spec.fontColor || 'white', numbers.opacity);
+  const boxColor = parseOverlayColor(spec.boxColor || 'black', numbers.boxOpacity);
+  if (!fontColor) {
+    return { error: `Invalid ${label}.fontColor: ${spec.fontColor}. Use #RRGGBB or one of ${NAMED_COLORS.join(', ')}` };
+  }
+  if (!boxColor) {
+    return { error: `Invalid ${label}.boxColor: ${spec.boxColor}. Use #RRGGBB or one of ${NAMED_COLORS.join(', ')}` };
+  }
+
+  const start = parseTimestamp(spec.start);
+  const end = parseTimestamp(spec.end);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return { error: `Invalid ${label}.start/end: expected seconds or [[hh:]mm:]ss[.ms]` };
+  }
+  if (start !== undefined && end !== undefined && end <= start) {
+    return { error: `Invalid ${label}: end must be after start` };
+  }
+
+  return {
+    overlay: {
+      text,
+      font: spec.font,
+      fontSize: numbers.fontSize,
+      fontColor,
+      box: booleanParam(spec.box),
+      boxColor,
+      boxBorder: numbers.boxBorder,
+      position,
+      margin: numbers.margin,
+      start,
+      end
+    }
+  };
+}
+
+// `enable` expression for an optional [start, end] window
+function timingWindow(start, end) {
+  if (start === undefined && end === undefined) return null;
+  if (end === undefined) return `gte(t\\,${start})`;
+  return `between(t\\,${start ?? 0}\\,${end})`;
+}
+
+function buildDrawtextFilter(overlay, textFile) {
+  const [x, y] = positionExpressions(overlay.position, overlay.margin, { W: 'w', H: 'h', w: 'text_w', h: 'text_h' });
+  const options = [
+    `textfile=${textFile}`,
+    'expansion=none',
+    `fontsize=${overlay.fontSize}`,
+    `fontcolor=${overlay.fontColor}`,
+    `x=${x}`,
+    `y=${y}`
+  ];
+  if (overlay.font) options.push(`font='${overlay.font}'`);
+  if (overlay.box) options.push('box=1', `boxcolor=${overlay.boxColor}`, `boxborderw=${overlay.boxBorder}`);
+  const enable = timingWindow(overlay.start, overlay.end);
+  if (enable) options.push(`enable=${enable}`);
+  return `drawtext=${options.join(':')}`;
+}
+
+function runOverlayJob(job, callback) {
+  const { timestamp } = job;
+  const { format, encoding, texts, watermark, subtitlesPath } = job.params;
+  const outputPath = path.join(outputDir, uniqueFileName(`overlay.${format}`));
+
+  // Each text goes through a file so its content never reaches the filtergraph parser
+  const textFiles = texts.map((overlay, index) => {
+    const textFile = path.join(job.workspace, `text-${index + 1}.txt`);
+    fs.writeFileSync(textFile, overlay.text);
+    return textFile;
+  });
+  const cleanupTextFiles = () => textFiles.forEach((textFile) => {
+    removePath(textFile);
+  });
+
+  const filters = [];
+  let video = '0:v';
+  if (watermark) {
+    const [x, y] = positionExpressions(watermark.position, watermark.margin, { W: 'main_w', H: 'main_h', w: 'overlay_w', h: 'overlay_h' });
+    const prepare = ['format=rgba'];
+    if (watermark.width) prepare.unshift(`scale=${watermark.width}:-1`);
+    if (watermark.opacity < 1) prepare.push(`colorchannelmixer=aa=${watermark.opacity}`);
+    filters.push(`[1:v]${prepare.join(',')}[watermark]`);
+    filters.push(`[${video}][watermark]overlay=${x}:${y}[watermarked]`);
+    video = 'watermarked';
+  }
+
+  const chain = texts.map((overlay, index) => buildDrawtextFilter(overlay, textFiles[index]));
+  if (subtitlesPath) chain.push(`subtitles=filename=${subtitlesPath}`);
+  if (chain.length > 0) {
+    filters.push(`[${video}]${chain.join(',')}[overlaid]`);
+    video = 'overlaid';
+  }
+
+  job.command = createFfmpegCommand(job.inputPath);
+  if (watermark) job.command.input(watermark.path);
+  applyEncodingParams(job.command, encoding)
+    .complexFilter(filters)
+    .outputOptions(['-map', `[${video}]`, '-map', '0:a?'])
+    .toFormat(MEDIA_FORMATS[format])
+    .on('start', (commandLine) => {
+      logger.info(`[${timestamp}] FFmpeg overlay started: ${commandLine}`);
+      emitJobEvent(job, 'start', { stage: 'overlay', commandLine });
+    })
+    .on('progress', (progress) => {
+      emitJobProgress(job, 'overlay', progress);
+      if (progress.percent) {
+        job.progress = Math.round(progress.percent);
+      }
+    })
+    .on('end', () => {
+      cleanupTextFiles();
+      logger.info(`[${timestamp}] OVERLAY request completed - Output: ${fs.statSync(outputPath).size} bytes`);
+      callback(null, outputPath);
+    })
+    .on('error', (err) => {
+      cleanupTextFiles();
+      removePath(outputPath);
+      logger.info(`[${timestamp}] OVERLAY request failed: ${err.message}`);
+      callback(err);
+    });
+
+  job.command.save(outputPath);
+}
+
+// The overlay route takes up to three uploads; the video becomes req.file
+function useVideoUpload(req, res, next) {
+  req.file = req.files?.file?.[0];
+  next();
+}
+
+// Watermark, text and subtitle overlays
+app.post('/overlay', upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'watermark', maxCount: 1 },
+  { name: 'subtitles', maxCount: 1 }
+]), useVideoUpload, validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const watermarkFile = req.files?.watermark?.[0];
+  const subtitlesFile = req.files?.subtitles?.[0];
+  const rejectRequest = (error) => {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] OVERLAY request failed: ${error}`);
+    return sendError(res, 400, error);
+  };
+
+  if (!req.file) {
+    return rejectRequest('No file uploaded or URL provided');
+  }
+
+  const format = (req.body.format || 'mp4').toLowerCase();
+  if (!OVERLAY_FORMATS.includes(format)) {
+    return rejectRequest(`Unsupported format: ${req.body.format}. Supported formats: ${OVERLAY_FORMATS.join(', ')}`);
+  }
+
+  const encodingInput = {};
+  OVERLAY_ENCODING_FIELDS.forEach((name) => {
+    if (req.body[name] !== undefined) encodingInput[name] = req.body[name];
+  });
+  const { params: encoding, error: encodingError } = validateEncodingParams(encodingInput);
+  if (encodingError) {
+    return rejectRequest(encodingError);
+  }
+  if (['copy', 'none'].includes(encoding.videoCodec)) {
+    return rejectRequest(`videoCodec ${encoding.videoCodec} is not possible with overlays`);
+  }
+
+  // A single text comes from plain fields; several (each with its own window) from a `texts` JSON array
+  let textSpecs = [];
+  if (req.body.texts) {
+    try {
+      textSpecs = typeof req.body.texts === 'string' ? JSON.parse(req.body.texts) : req.body.texts;
+    } catch (err) {
+      return rejectRequest('Invalid texts: not valid JSON');
+    }
+    if (!Array.isArray(textSpecs) || textSpecs.length > MAX_TEXT_OVERLAYS) {
+      return rejectRequest(`Invalid texts: expected an array of at most ${MAX_TEXT_OVERLAYS} text overlays`);
+    }
+  } else if (req.body.text !== undefined) {
+    const { text, font, fontSize, fontColor, opacity, box, boxColor, boxOpacity, boxBorder, position, margin, start, end } = req.body;
+    textSpecs = [{ text, font, fontSize, fontColor, opacity, box, boxColor, boxOpacity, boxBorder, position, margin, start, end }];
+  }
+
+  const texts = [];
+  for (const [index, spec] of textSpecs.entries()) {
+    const { overlay, error } = parseTextOverlay(spec, req.body.texts ? `texts[${index}]` : 'text');
+    if (error) {
+      return rejectRequest(error);
+    }
+    texts.push(overlay);
+  }
+
+  let watermark = null;
+  if (watermarkFile) {
+    const position = req.body.watermarkPosition || 'top-right';
+    if (!OVERLAY_POSITIONS[position]) {
+      return rejectRequest(`Unsupported watermarkPosition: ${position}. Supported values: ${Object.keys(OVERLAY_POSITIONS).join(', ')}`);
+    }
+    const margin = parseOverlayNumber(req.body.watermarkMargin, 'watermarkMargin', 0, 2000, 20);
+    const width = parseOverlayNumber(req.body.watermarkWidth, 'watermarkWidth', 8, 4096);
+    const opacity = parseOverlayNumber(req.body.watermarkOpacity, 'watermarkOpacity', 0, 1, 1);
+    const numberError = margin.error || width.error || opacity.error;
+    if (numberError) {
+      return rejectRequest(numberError);
+    }
+    if (width.value !== undefined && !Number.isInteger(width.value)) {
+      return rejectRequest('Invalid watermarkWidth: must be an integer');
+    }
+    watermark = { path: watermarkFile.path, position, margin: margin.value, width: width.value, opacity: opacity.value };
+  }
+
+  let subtitlesPath = null;
+  if (subtitlesFile) {
+    const extension = path.extname(subtitlesFile.originalname).toLowerCase();
+    if (!SUBTITLE_EXTENSIONS.includes(extension)) {
+      return rejectRequest(`Unsupported subtitles file: ${subtitlesFile.originalname}. Supported types: ${SUBTITLE_EXTENSIONS.join(', ')}`);
+    }
+    // The uploaded name is user-controlled, so give the filter a generated one
+    subtitlesPath = path.join(workspaceFor(req), `${crypto.randomUUID()}${extension}`);
+    fs.renameSync(subtitlesFile.path, subtitlesPath);
+    subtitlesFile.path = subtitlesPath;
+  }
+
+  if (!watermark && texts.length === 0 && !subtitlesPath) {
+    return rejectRequest('Nothing to overlay: provide a watermark, text/texts or subtitles');
+  }
+
+  logger.info(`[${timestamp}] Processing OVERLAY request - File: ${req.file.originalname} (${req.file.size} bytes) - Watermark: ${watermark ? 'yes' : 'no'}, Texts: ${texts.length}, Subtitles: ${subtitlesPath ? 'yes' : 'no'} -> ${format}`);
+
+  const job = createJob('overlay', [req.file, watermarkFile, subtitlesFile].filter(Boolean), {
+    format, encoding, texts, watermark, subtitlesPath
+  }, timestamp, runOverlayJob);
+  respondWithJob(req, res, job, 'OVERLAY');
+});
+
+// Quality comparison
+// The distorted input is scaled to the reference's size and resampled to its frame rate when they
+// differ, then both go through psnr -> ssim -> libvmaf (main passes through each filter unchanged).
+// Per-frame values come from each filter's stats/log file.
+
+// libvmaf is optional in ffmpeg builds, so check once and remember
+let libvmafAvailable = null;
+
+function checkLibvmaf(callback) {
+  if (libvmafAvailable !== null) return callback(libvmafAvailable);
+  ffmpeg.getAvailableFilters((err, filters) => {
+    libvmafAvailable = !err && Boolean(filters?.libvmaf);
+    callback(libvmafAvailable);
+  });
+}
+
+function summarizeScores(values) {
+  const valid = values.filter((value) => Number.isFinite(value));
+  if (valid.length === 0) return null;
+  const round = (value) => Number(value.toFixed(4));
+  return {
+    mean: round(valid.reduce((sum, value) => sum + value, 0) / valid.length),
+    min: round(Math.min(...valid)),
+    max: round(Math.max(...valid))
+  };
+}
+
+// psnr stats: "n:1 mse_avg:0.51 ... psnr_avg:51.05 psnr_y:50.12 ..." (identical frames report "inf")
+function parsePsnrStats(text) {
+  return text.split('\n').filter(Boolean).map((line) => {
+    const value = line.match(/psnr_avg:(\S+)/)?.[1];
+    return value === 'inf' ? Infinity : Number(value);
+  });
+}
+
+// ssim stats: "n:1 Y:0.991 U:0.994 V:0.993 All:0.992 (20.97)"
+function parseSsimStats(text) {
+  return text.split('\n').filter(Boolean).map((line) => Number(line.match(/All:(\S+)/)?.[1]));
+}
+
+function parseVmafLog(text) {
+  const log = JSON.parse(text);
+  return {
+    frames: (log.frames || []).map((frame) => frame.metrics?.vmaf),
+    pooledMean: log.pooled_metrics?.vmaf?.mean ?? log['VMAF score'] ?? null
+  };
+}
+
+function runCompareJob(job, callback) {
+  const { timestamp } = job;
+  const { vmaf, perFrame } = job.params;
+  const [referencePath, distortedPath] = job.inputPaths;
+  const statsDir = path.join(job.workspace, 'compare');
+
+  probeAll([referencePath, distortedPath], (err, metadataList, failedIndex) => {
+    if (err) {
+      const probeError = new Error(`Failed to analyze ${failedIndex === 0 ? 'reference' : 'distorted'}: ${err.message}`);
+      probeError.statusCode = 400;
+      return callback(probeError);
+    }
+    const [reference, distorted] = metadataList;
+    const referenceVideo = reference.streams.find((stream) => stream.codec_type === 'video');
+    const distortedVideo = distorted.streams.find((stream) => stream.codec_type === 'video');
+    if (!referenceVideo || !distortedVideo) {
+      const noVideoError = new Error(`No video stream in ${referenceVideo ? 'distorted' : 'reference'} file`);
+      noVideoError.statusCode = 400;
+      return callback(noVideoError);
+    }
+
+    checkLibvmaf((hasLibvmaf) => {
+      if (vmaf === 'true' && !hasLibvmaf) {
+        const vmafError = new Error('VMAF requested but this ffmpeg build has no libvmaf');
+        vmafError.statusCode = 422;
+        return callback(vmafError);
+      }
+      const useVmaf = vmaf !== 'false' && hasLibvmaf;
+
+      const size = displayDimensions(referenceVideo);
+      const distortedSize = displayDimensions(distortedVideo);
+      const fps = parseFrameRate(referenceVideo.avg_frame_rate) || parseFrameRate(referenceVideo.r_frame_rate);
+      const distortedFps = parseFrameRate(distortedVideo.avg_frame_rate) || parseFrameRate(distortedVideo.r_frame_rate);
+      const scaled = size.width !== distortedSize.width || size.height !== distortedSize.height;
+      const resampled = Boolean(fps && distortedFps && Math.abs(fps - distortedFps) > 0.001);
+
+      fs.mkdirSync(statsDir, { recursive: true });
+      const psnrFile = path.join(statsDir, 'psnr.log');
+      const ssimFile = path.join(statsDir, 'ssim.log');
+      const vmafFile = path.join(statsDir, 'vmaf.json');
+
+      const distortedChain = [];
+      if (scaled) distortedChain.push(`scale=${size.width}:${size.height}:flags=bicubic`);
+      if (resampled) distortedChain.push(`fps=${referenceVideo.avg_frame_rate !== '0/0' ? referenceVideo.avg_frame_rate : referenceVideo.r_frame_rate}`);
+      distortedChain.push('setpts=PTS-STARTPTS', 'format=yuv420p');
+
+      const filters = [
+        `[0:v]setpts=PTS-STARTPTS,format=yuv420p,split=${useVmaf ? 3 : 2}${useVmaf ? '[ref1][ref2][ref3]' : '[ref1][ref2]'}`,
+        `[1:v]${distortedChain.join(',')}[main0]`,
+        `[main0][ref1]psnr=stats_file=${psnrFile}:shortest=1[main1]`,
+        `[main1][ref2]ssim=stats_file=${ssimFile}:shortest=1[main2]`
+      ];
+      if (useVmaf) {
+        filters.push(`[main2][ref3]libvmaf=log_path=${vmafFile}:log_fmt=json:shortest=1[main3]`);
+      }
+
+      const cleanup = () => removePath(statsDir);
+      job.command = createFfmpegCommand(referencePath)
+        .input(distortedPath)
+        .complexFilter(filters)
+        .outputOptions(['-map', useVmaf ? '[main3]' : '[main2]'])
+        .format('null')
+        .output('-')
+        .on('start', (commandLine) => {
+          logger.info(`[${timestamp}] FFmpeg compare started: ${commandLine}`);
+          emitJobEvent(job, 'start', { stage: 'compare', commandLine });
+        })
+        .on('progress', (progress) => {
+          emitJobProgress(job, 'compare', progress);
+          if (progress.percent) {
+            job.progress = Math.round(progress.percent);
+          }
+        })
+        .on('end', () => {
+          let psnr;
+          let ssim;
+          let vmafScores = null;
+          try {
+            psnr = parsePsnrStats(fs.readFileSync(psnrFile, 'utf8'));
+            ssim = parseSsimStats(fs.readFileSync(ssimFile, 'utf8'));
+            if (useVmaf) vmafScores = parseVmafLog(fs.readFileSync(vmafFile, 'utf8'));
+          } catch (readError) {
+            cleanup();
+            logger.info(`[${timestamp}] COMPARE failed to read metrics: ${readError.message}`);
+            return callback(new Error('Failed to read comparison metrics'));
+          }
+          cleanup();
+
+          const vmafSummary = vmafScores ? summarizeScores(vmafScores.frames) : null;
+          if (vmafSummary && vmafScores.pooledMean !== null) {
+            vmafSummary.mean = Number(Number(vmafScores.pooledMean).toFixed(4));
+          }
+          const result = {
+            frames: psnr.length,
+            reference: { width: size.width, height: size.height, fps: fps ? Number(fps.toFixed(3)) : null },
+            distorted: { width: distortedSize.width, height: distortedSize.height, fps: distortedFps ? Number(distortedFps.toFixed(3)) : null },
+            adjustments: { scaled, resampled },
+            psnr: summarizeScores(psnr),
+            // Identical frames have infinite PSNR; they are left out of the summary and counted here
+            identicalFrames: psnr.filter((value) => value === Infinity).length,
+            ssim: summarizeScores(ssim),
+            vmaf: vmafSummary,
+            vmafAvailable: hasLibvmaf
+          };
+          if (perFrame) {
+            result.perFrame = psnr.map((value, index) => ({
+              frame: index + 1,
+              psnr: Number.isFinite(value) ? Number(value.toFixed(4)) : null,
+              ssim: Number.isFinite(ssim[index]) ? Number(ssim[index].toFixed(6)) : null,
+              vmaf: vmafScores && Number.isFinite(vmafScores.frames[index]) ? Number(vmafScores.frames[index].toFixed(4)) : null
+            }));
+          }
+
+          logger.info(`[${timestamp}] COMPARE request completed - ${result.frames} frames, PSNR ${result.psnr?.mean ?? '-'}, SSIM ${result.ssim?.mean ?? '-'}, VMAF ${result.vmaf?.mean ?? 'n/a'}`);
+          callback(null, null, result);
+        })
+        .on('error', (err) => {
+          cleanup();
+          logger.info(`[${timestamp}] COMPARE request failed: ${err.message}`);
+          callback(err);
+        });
+
+      job.command.run();
+    });
+  });
+}
+
+// Compare an encoded file against its reference (PSNR, SSIM and VMAF when available)
+app.post('/compare', upload.fields([
+  { name: 'reference', maxCount: 1 },
+  { name: 'distorted', maxCount: 1 }
+]), validateRequest, remoteFieldInputs(['reference', 'distorted']), callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const reference = req.files?.reference?.[0];
+  const distorted = req.files?.distorted?.[0];
+  const rejectRequest = (error) => {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] COMPARE request failed: ${error}`);
+    return sendError(res, 400, error);
+  };
+
+  if (!reference || !distorted) {
+    return rejectRequest('Both a "reference" and a "distorted" file (or referenceUrl/distortedUrl) are required');
+  }
+
+  const vmaf = String(req.body.vmaf ?? 'auto').toLowerCase();
+  if (!['auto', 'true', 'false'].includes(vmaf)) {
+    return rejectRequest(`Invalid vmaf: ${req.body.vmaf}. Supported values: auto, true, false`);
+  }
+  const perFrame = booleanParam(req.body.perFrame, true);
+
+  logger.info(`[${timestamp}] Processing COMPARE request - Reference: ${reference.originalname} (${reference.size} bytes), Distorted: ${distorted.originalname} (${distorted.size} bytes)`);
+
+  const job = createJob('compare', [reference, distorted], { vmaf, perFrame }, timestamp, runCompareJob);
+  respondWithJob(req, res, job, 'COMPARE');
+});
+
+// Letterbox detection
+// cropdetect runs on short windows at evenly spread seek points instead of the whole file. Each
+// window votes with its most frequent crop; the crop with the most votes wins, so a black intro or
+// fade-out only costs a vote or two.
+const LETTERBOX_SAMPLE_SECONDS = 2;
+const LETTERBOX_DEFAULTS = { samples: 10, limit: 24, round: 16 };
+
+function mostFrequent(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+}
+
+// Run cropdetect on every sample window; callback(err, { crop, confidence, votes, samples })
+function detectLetterbox(job, duration, callback) {
+  const { timestamp } = job;
+  const { samples, limit, round } = job.params;
+  const count = duration > 0 ? samples : 1;
+  const windowLength = duration > 0 ? Number(Math.min(LETTERBOX_SAMPLE_SECONDS, duration / count).toFixed(3)) : null;
+  const votes = [];
+
+  const sampleAt = (index) => {
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+    if (index === count) {
+      return tally();
+    }
+
+    const start = duration > 0 ? (duration * (index + 0.5)) / count - windowLength / 2 : 0;
+    const crops = [];
+    job.command = createFfmpegCommand(job.inputPath).noAudio();
+    if (duration > 0) {
+      job.command.seekInput(Math.max(0, start)).duration(windowLength);
+    }
+    job.command
+      .videoFilters(`cropdetect=limit=${limit}:round=${round}:reset=0`)
+      .format('null')
+      .output('-')
+      .on('start', (commandLine) => {
+        if (index === 0) logger.info(`[${timestamp}] FFmpeg cropdetect started: ${commandLine}`);
+        emitJobEvent(job, 'start', { stage: 'cropdetect', commandLine });
+      })
+      .on('stderr', (stderrLine) => {
+        const match = stderrLine.match(/crop=(-?\d+):(-?\d+):(-?\d+):(-?\d+)/);
+        // Fully black frames report an empty (or negative) rectangle; they don't get a say
+        if (match && Number(match[1]) > 0 && Number(match[2]) > 0) {
+          crops.push(match.slice(1).join(':'));
+        }
+      })
+      .on('end', () => {
+        if (crops.length > 0) {
+          votes.push({ time: Number(Math.max(0, start).toFixed(3)), crop: mostFrequent(crops)[0] });
+        }
+        job.progress = Math.round(((index + 1) / count) * 50);
+        emitJobEvent(job, 'progress', { stage: 'cropdetect', percent: job.progress, sample: index + 1, samples: count });
+        sampleAt(index + 1);
+      })
+      .on('error', (err) => {
+        logger.info(`[${timestamp}] REMOVE-LETTERBOX detection failed: ${err.message}`);
+        callback(new Error('Failed to detect black bars: ' + err.message));
+      })
+      .run();
+  };
+
+  const tally = () => {
+    if (votes.length === 0) {
+      return callback(null, null);
+    }
+    // Ties go to the larger picture so a dark scene can't shrink the output
+    const histogram = {};
+    votes.forEach(({ crop }) => { histogram[crop] = (histogram[crop] || 0) + 1; });
+    const [winner] = Object.entries(histogram).sort((a, b) => {
+      const area = (crop) => crop.split(':').slice(0, 2).reduce((product, value) => product * Number(value), 1);
+      return b[1] - a[1] || area(b[0]) - area(a[0]);
+    });
+    const [width, height, x, y] = winner[0].split(':').map(Number);
+    callback(null, {
+      crop: { width, height, x, y },
+      filter: `crop=${winner[0]}`,
+      confidence: Number((winner[1] / votes.length).toFixed(3)),
+      histogram,
+      votes
+    });
+  };
+
+  sampleAt(0);
+}
+
+// Run a remove-letterbox job: detect the black bars at sampled seek points, then crop them away
+function runRemoveLetterboxJob(job, callback) {
+  const { timestamp } = job;
+  const { format, detectOnly } = job.params;
+  const outputFileName = uniqueFileName(`letterbox-removed.${format}`);
+  const outputPath = path.join(outputDir, outputFileName);
+
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) {
+      logger.info(`[${timestamp}] REMOVE-LETTERBOX probe failed: ${err.message}`);
+      return callback(new Error('Failed to analyze video: ' + err.message));
+    }
+    if (job.cancelRequested) {
+      return callback(new Error('Job was cancelled'));
+    }
+
+    const videoStream = (metadata.streams || []).find((stream) => stream.codec_type === 'video');
+    if (!videoStream) {
+      const noVideoError = new Error('No video stream found');
+      noVideoError.statusCode = 400;
+      return callback(noVideoError);
+    }
+    const source = { width: videoStream.width, height: videoStream.height };
+    const duration = Number(metadata.format?.duration) || 0;
+
+    detectLetterbox(job, duration, (detectError, detection) => {
+      if (detectError) return callback(detectError);
+
+      const letterboxed = Boolean(detection) &&
+        (detection.crop.width < source.width || detection.crop.height < source.height);
+      if (detection) {
+        logger.info(`[${timestamp}] Detected crop parameters: ${detection.filter} (confidence ${detection.confidence}, ${detection.votes.length} samples)`);
+        const { width, height, x, y } = detection.crop;
+        emitJobEvent(job, 'cropdetect', { width, height, x, y, crop: `${width}:${height}:${x}:${y}`, confidence: detection.confidence });
+      }
+
+      if (detectOnly) {
+        logger.info(`[${timestamp}] REMOVE-LETTERBOX detection completed - ${letterboxed ? detection.filter : 'no black bars'}`);
+        return callback(null, null, {
+          letterboxed,
+          source,
+          crop: detection ? detection.crop : null,
+          filter: detection ? detection.filter : null,
+          confidence: detection ? detection.confidence : 0,
+          histogram: detection ? detection.histogram : {},
+          samples: detection ? detection.votes : []
+        });
+      }
+
+      if (!letterboxed) {
+        logger.info(`[${timestamp}] No black bars detected in video`);
+        const noCropError = new Error('No black bars detected in the video');
+        noCropError.statusCode = 400;
+        return callback(noCropError);
+      }
+
+      // Apply the crop filter to remove black bars
+      const cropStartTime = Date.now();
+      const { width, height, x, y } = detection.crop;
+      logger.info(`[${timestamp}] Starting crop processing with parameters: ${width}:${height}:${x}:${y}`);
+
+      job.command = createFfmpegCommand(job.inputPath)
+        .videoFilters(detection.filter)
+        .toFormat(MEDIA_FORMATS[format])
+        .on('start', (commandLine) => {
+          logger.info(`[${timestamp}] FFmpeg black bar removal started: ${commandLine}`);
+          emitJobEvent(job, 'start', { stage: 'crop', commandLine });
+        })
+        .on('progress', (progress) => {
+          emitJobProgress(job, 'crop', progress);
+          if (progress.percent) {
+            job.progress = 50 + Math.round(progress.percent / 2);
+            const elapsed = ((Date.now() - cropStartTime) / 1000).toFixed(1);
+            logger.info(`[${timestamp}] Black bar removal progress: ${Math.round(progress.percent)}% - Elapsed: ${elapsed}s`);
+          }
+        })
+        .on('end', () => {
+          const totalProcessTime = ((Date.now() - job.startedAt) / 1000).toFixed(1);
+          const cropProcessTime = ((Date.now() - cropStartTime) / 1000).toFixed(1);
+          const outputStats = fs.statSync(outputPath);
+
+          logger.info(`[${timestamp}] REMOVE-LETTERBOX request completed - Output: ${outputStats.size} bytes`);
+          logger.info(`[${timestamp}] Processing times - Crop: ${cropProcessTime}s, Total: ${totalProcessTime}s`);
+          callback(null, outputPath);
+        })
+        .on('error', (err) => {
+          removePath(outputPath);
+          logger.info(`[${timestamp}] REMOVE-LETTERBOX request failed: ${err.message}`);
+          callback(err);
+        });
+
+      job.command.save(outputPath);
     });
+  });
+}
+
+// Returns { params } for runRemoveLetterboxJob or { error }
+function parseLetterboxParams(body) {
+  const format = String(body.format || 'mp4').toLowerCase();
+  if (checkMediaFormat(format)) {
+    return { error: checkMediaFormat(format) };
+  }
+  const detectOnly = booleanParam(body.detectOnly);
+  const ranges = { samples: [1, 50], limit: [0, 255], round: [2, 128] };
+  const params = { format, detectOnly, ...LETTERBOX_DEFAULTS };
+
+  for (const [name, [min, max]] of Object.entries(ranges)) {
+    const value = body[name];
+    if (value === undefined || value === '') continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { error: `Invalid ${name}: ${value}. Expected an integer between ${min} and ${max}` };
+    }
+    params[name] = number;
+  }
+  if (params.round % 2 !== 0) {
+    return { error: 'Invalid round: must be an even number' };
+  }
+  return { params };
+}
+
+// Remove black bars (letterbox/pillarbox) from video
+app.post('/remove-letterbox', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const rejectRequest = (error) => {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] REMOVE-LETTERBOX request failed: ${error}`);
+    return sendError(res, 400, error);
+  };
+
+  if (!req.file) {
+    return rejectRequest('No file uploaded or URL provided');
+  }
+
+  const { params, error } = parseLetterboxParams(req.body);
+  if (error) {
+    return rejectRequest(error);
+  }
+  const { format, detectOnly } = params;
+
+  if (detectOnly && req.outputTarget) {
+    return rejectRequest('outputUrl cannot be used with detectOnly');
+  }
+
+  logger.info(`[${timestamp}] Processing REMOVE-LETTERBOX request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${detectOnly ? 'detect only' : format} (${params.samples} samples, limit ${params.limit}, round ${params.round})`);
+
+  const job = createJob('remove-letterbox', req.file, params, timestamp, runRemoveLetterboxJob);
+  respondWithJob(req, res, job, 'REMOVE-LETTERBOX');
+});
+
+// Pipelines
+// POST /pipeline runs an ordered list of steps over one input inside a single job. Steps that
+// transform the media (convert, trim, remove-letterbox) hand their output to the next step; the
+// other steps add a side output (an image, a zip, or JSON) and leave the media as it was.
+// Everything is kept under outputs/pipelines/<jobId>/ until the pipeline has finished.
+const pipelinesDir = path.join(outputDir, 'pipelines');
+if (!fs.existsSync(pipelinesDir)) {
+  fs.mkdirSync(pipelinesDir);
+}
+
+const MAX_PIPELINE_STEPS = parseInt(process.env.MAX_PIPELINE_STEPS, 10) || 20;
+
+function parseProbeStep(body) {
+  const view = body.view || 'raw';
+  if (!METADATA_VIEWS.includes(view)) {
+    return { error: `Unsupported view: ${view}. Supported views: ${METADATA_VIEWS.join(', ')}` };
+  }
+  return { params: { view } };
+}
+
+function runProbeStep(job, callback) {
+  ffmpeg.ffprobe(job.inputPath, (err, metadata) => {
+    if (err) return callback(new Error('Failed to get media metadata: ' + err.message));
+    callback(null, null, job.params.view === 'summary' ? summarizeMetadata(metadata) : metadata);
+  });
+}
+
+function parseAudioExtractStep(body) {
+  const { params, error } = parseAudioSelection(body, { sampleRate: [8000, 96000] }, ['sampleRate']);
+  const encoding = parseAudioEncoding(body);
+  if (error || encoding.error) {
+    return { error: error || encoding.error };
+  }
+  return { params: { ...params, format: encoding.format, audioBitrate: encoding.audioBitrate } };
+}
+
+function parseAudioSilenceStep(body) {
+  const { params, error } = parseAudioSelection(body, { noise: [-90, 0], minDuration: [0.01, 60] });
+  return error ? { error } : { params: { ...SILENCE_DEFAULTS, ...params } };
+}
+
+// Operations a step can use: `parse` validates the step's fields like the matching route does,
+// `run` is the route's job processor
+const PIPELINE_STEPS = {
+  convert: { parse: parseConvertParams, run: runConvertJob, transforms: true },
+  trim: { parse: parseTrimParams, run: runTrimJob, transforms: true },
+  'remove-letterbox': { parse: parseLetterboxParams, run: runRemoveLetterboxJob, transforms: true },
+  screenshot: { parse: parseScreenshotParams, run: captureScreenshot },
+  sprites: { parse: parseSpritesParams, run: runSpritesJob },
+  probe: { parse: parseProbeStep, run: runProbeStep },
+  'audio-extract': { parse: parseAudioExtractStep, run: runAudioExtractJob },
+  'audio-silence': { parse: parseAudioSilenceStep, run: runAudioSilenceJob }
+};
+
+// Validate the `steps` list up front so a bad step fails the request before anything runs.
+// Step fields are read like form fields, so numbers and booleans are accepted as strings.
+function parsePipelineSteps(value) {
+  let steps = value;
+  if (typeof value === 'string') {
+    try {
+      steps = JSON.parse(value);
+    } catch (err) {
+      return { error: 'Invalid steps: expected a JSON array' };
+    }
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: 'Invalid steps: expected a non-empty JSON array' };
+  }
+  if (steps.length > MAX_PIPELINE_STEPS) {
+    return { error: `Too many steps: at most ${MAX_PIPELINE_STEPS} are allowed` };
   }
 
-  // First, get video duration
-  ffmpeg.ffprobe(req.file.path, (err, metadata) => {
-    if (err) {
-      fs.unlinkSync(req.file.path);
-      console.log(`[${timestamp}] SCREENSHOT request failed: ${err.message}`);
-      return res.status(500).json({ error: 'Failed to get video metadata: ' + err.message });
+  const parsed = [];
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return { error: `${label}: expected an object with an "op" field` };
+    }
+    const { op, keep, ...fields } = step;
+    if (!PIPELINE_STEPS[op]) {
+      return { error: `${label}: unsupported op ${op}. Supported ops: ${Object.keys(PIPELINE_STEPS).join(', ')}` };
     }
 
-    const duration = metadata.format.duration;
-    if (!duration || duration <= 0) {
-      fs.unlinkSync(req.file.path);
-      console.log(`[${timestamp}] SCREENSHOT request failed: Invalid video duration`);
-      return res.status(400).json({ error: 'Invalid video duration' });
+    const body = {};
+    for (const [name, field] of Object.entries(fields)) {
+      if (field === null || typeof field === 'object') {
+        return { error: `${label} (${op}): ${name} must be a string, number or boolean` };
+      }
+      body[name] = String(field);
     }
+    const { params, error } = PIPELINE_STEPS[op].parse(body);
+    if (error) {
+      return { error: `${label} (${op}): ${error}` };
+    }
+    parsed.push({ op, params, keep: booleanParam(keep) });
+  }
+  return { steps: parsed };
+}
 
-    // Generate random timestamp (not at the very beginning or end)
-    const randomTime = Math.random() * (duration - 1) + 0.5;
-    const outputFileName = `${Date.now()}-screenshot.${format}`;
-    const outputPath = path.join(outputDir, outputFileName);
-    
-    console.log(`[${timestamp}] Generating screenshot at ${randomTime.toFixed(2)}s from ${duration}s video`);
+// Processors only read from the job they are handed, apart from `command` and `progress`. A step
+// therefore runs on an object layered over the pipeline job: id, events and cancellation are
+// shared, the running command stays visible to cancelJob, and progress is scaled to the pipeline.
+function pipelineStepJob(job, index, inputPath, params) {
+  const stepJob = Object.create(job);
+  stepJob.inputPath = inputPath;
+  stepJob.inputPaths = [inputPath];
+  stepJob.params = { ...params };
+  Object.defineProperties(stepJob, {
+    command: {
+      get: () => job.command,
+      set: (command) => { job.command = command; }
+    },
+    progress: {
+      get: () => job.progress,
+      set: (percent) => { job.progress = Math.round(((index + percent / 100) / job.params.steps.length) * 100); }
+    }
+  });
+  return stepJob;
+}
 
-    // Create ffmpeg command
-    let command = ffmpeg(req.file.path)
-      .seekInput(randomTime)
-      .frames(1);
+function runPipelineJob(job, callback) {
+  const { timestamp } = job;
+  const { steps, output } = job.params;
+  const workDir = path.join(pipelinesDir, job.id);
+  const manifest = { input: job.originalName, steps: [], output: null };
+  let current = job.inputPath;
+  let currentEntry = null;
+  let keepCurrent = true;
 
-    // Set format-specific options
-    if (format.toLowerCase() === 'avif') {
-      command = command
-        .outputOptions([
-          '-c:v', 'libaom-av1',
-          '-crf', '30',
-          '-cpu-used', '8'
-        ]);
-    } else if (format.toLowerCase() === 'webp') {
-      command = command
-        .outputOptions([
-          '-c:v', 'libwebp',
-          '-quality', '80'
-        ]);
-    }
-
-    // Extract frame at random timestamp
-    command
-      .output(outputPath)
-      .on('start', (commandLine) => {
-        console.log(`[${timestamp}] FFmpeg screenshot started: ${commandLine}`);
-      })
-      .on('end', () => {
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
-        
-        const outputStats = fs.statSync(outputPath);
-        console.log(`[${timestamp}] SCREENSHOT request completed - Output: ${outputStats.size} bytes (${format})`);
-        
-        // Send the screenshot
-        res.download(outputPath, (err) => {
-          if (err) {
-            console.error(`[${timestamp}] Download error:`, err);
-          }
-          // Clean up output file after download
-          fs.unlinkSync(outputPath);
-        });
-      })
-      .on('error', (err) => {
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
-        console.log(`[${timestamp}] SCREENSHOT request failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to generate screenshot: ' + err.message });
-      })
-      .run();
+  const fail = (err) => {
+    removePath(workDir);
+    callback(err);
+  };
+
+  const runStep = (index) => {
+    if (index === steps.length) return done();
+    if (job.cancelRequested) return fail(new Error('Job was cancelled'));
+
+    const { op, params, keep } = steps[index];
+    const stepNumber = index + 1;
+    logger.info(`[${timestamp}] PIPELINE step ${stepNumber}/${steps.length}: ${op}`);
+    emitJobEvent(job, 'step', { step: stepNumber, op, state: 'running' });
+
+    PIPELINE_STEPS[op].run(pipelineStepJob(job, index, current, params), (err, outputPath, result) => {
+      if (err) {
+        logger.info(`[${timestamp}] PIPELINE step ${stepNumber} (${op}) failed: ${err.message}`);
+        emitJobEvent(job, 'step', { step: stepNumber, op, state: 'failed', error: err.message });
+        const stepError = new Error(job.cancelRequested ? 'Job was cancelled' : `Step ${stepNumber} (${op}) failed: ${err.message}`);
+        stepError.statusCode = err.statusCode;
+        return fail(stepError);
+      }
+
+      const entry = { step: stepNumber, op, params, file: null, size: null, result: result || null };
+      if (outputPath) {
+        entry.file = `${String(stepNumber).padStart(2, '0')}-${op}${path.extname(outputPath)}`;
+        fs.renameSync(outputPath, path.join(workDir, entry.file));
+        entry.size = fs.statSync(path.join(workDir, entry.file)).size;
+      }
+      manifest.steps.push(entry);
+
+      // The next step reads this step's media; the one it replaces is dropped unless kept
+      if (PIPELINE_STEPS[op].transforms && entry.file) {
+        if (currentEntry && !keepCurrent) {
+          removePath(current);
+          currentEntry.file = null;
+          currentEntry.size = null;
+        }
+        current = path.join(workDir, entry.file);
+        currentEntry = entry;
+        keepCurrent = keep;
+      }
+
+      emitJobEvent(job, 'step', { step: stepNumber, op, state: 'completed', file: entry.file });
+      runStep(index + 1);
+    });
+  };
+
+  const done = () => {
+    manifest.output = currentEntry ? currentEntry.file : null;
+    fs.writeFileSync(path.join(workDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    if (output === 'zip') {
+      const zipPath = path.join(outputDir, uniqueFileName('pipeline.zip'));
+      return zipDirectory(workDir, zipPath, (zipError) => {
+        removePath(workDir);
+        if (zipError) {
+          removePath(zipPath);
+          return callback(zipError);
+        }
+        logger.info(`[${timestamp}] PIPELINE request completed - Zip: ${fs.statSync(zipPath).size} bytes (${steps.length} steps)`);
+        callback(null, zipPath);
+      });
+    }
+
+    const baseUrl = `/pipelines/${job.id}`;
+    const urlFor = (file) => (file ? `${baseUrl}/${file}` : null);
+    logger.info(`[${timestamp}] PIPELINE request completed - ${steps.length} steps at ${baseUrl}`);
+    callback(null, workDir, {
+      baseUrl,
+      manifest: urlFor('manifest.json'),
+      output: urlFor(manifest.output),
+      steps: manifest.steps.map((entry) => ({ ...entry, url: urlFor(entry.file) })),
+      expiresAt: new Date(Date.now() + JOB_RESULT_TTL).toISOString()
+    });
+  };
+
+  fs.mkdirSync(workDir);
+  runStep(0);
+}
+
+// Run several operations over one input in a single job
+app.post('/pipeline', upload.single('file'), rawInput(), validateRequest, remoteInput, remoteOutput, callbackTarget, (req, res) => {
+  const timestamp = new Date().toISOString();
+  const rejectRequest = (error) => {
+    cleanupRequestFiles(req);
+    logger.info(`[${timestamp}] PIPELINE request failed: ${error}`);
+    return sendError(res, 400, error);
+  };
+
+  if (!req.file) {
+    return rejectRequest('No file uploaded or URL provided');
+  }
+
+  const { output = 'zip' } = req.body;
+  if (!['zip', 'json'].includes(output)) {
+    return rejectRequest(`Unsupported output: ${output}. Supported outputs: zip, json`);
+  }
+  if (output === 'json' && req.outputTarget) {
+    return rejectRequest('outputUrl can only be used with output=zip');
+  }
+  const { steps, error } = parsePipelineSteps(req.body.steps);
+  if (error) {
+    return rejectRequest(error);
+  }
+
+  logger.info(`[${timestamp}] Processing PIPELINE request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${steps.map((step) => step.op).join(' > ')} (${output})`);
+
+  const job = createJob('pipeline', req.file, { steps, output }, timestamp, runPipelineJob);
+  respondWithJob(req, res, job, 'PIPELINE');
+});
+
+// Serve pipeline outputs (output=json) to the key that created the job until the job expires
+app.use('/pipelines/:jobId', requireJobOwner);
+app.use('/pipelines', express.static(pipelinesDir));
+
+// List the encoding profiles available to /convert
+app.get('/profiles', (req, res) => {
+  res.json({
+    profiles: encodingProfiles,
+    parameters: {
+      ...ENCODING_ALLOWLIST,
+      ...Object.fromEntries(Object.entries(ENCODING_RANGES).map(([name, [min, max]]) => [name, { min, max }]))
+    }
   });
 });
 
-// Remove black bars (letterbox/pillarbox) from video
-app.post('/remove-letterbox', upload.single('file'), (req, res) => {
+// Get job status and progress
+app.get('/jobs/:id', (req, res) => {
+  const job = findOwnedJob(req, req.params.id);
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+  res.json(serializeJob(job));
+});
+
+// Stream job events (start, progress, cropdetect, completion, errors) over Server-Sent Events
+app.get('/jobs/:id/events', (req, res) => {
   const timestamp = new Date().toISOString();
-  const processStartTime = Date.now();
-  
-  if (!req.file) {
-    console.log(`[${timestamp}] REMOVE-LETTERBOX request failed: No file uploaded`);
-    return res.status(400).json({ error: 'No file uploaded' });
+  const job = findOwnedJob(req, req.params.id);
+
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
   }
 
-  const { format = 'mp4' } = req.body;
-  const outputFileName = `${Date.now()}-letterbox-removed.${format}`;
-  const outputPath = path.join(outputDir, outputFileName);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-  console.log(`[${timestamp}] Processing REMOVE-LETTERBOX request - File: ${req.file.originalname} (${req.file.size} bytes) -> ${format}`);
+  const sendEvent = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const isFinished = () => ['completed', 'failed', 'cancelled'].includes(job.state);
 
-  // Use ffprobe to analyze and detect crop parameters more reliably
-  ffmpeg.ffprobe(req.file.path, (err, metadata) => {
+  logger.info(`[${timestamp}] JOB ${job.id} events subscriber connected (${job.events.listenerCount('event') + 1} total)`);
+
+  // Late subscribers first get a snapshot of where the job currently is
+  sendEvent('state', serializeJob(job));
+  if (isFinished()) {
+    return res.end();
+  }
+
+  const onEvent = ({ type, data }) => {
+    sendEvent(type, data);
+    if (isFinished()) {
+      res.end();
+    }
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  job.events.on('event', onEvent);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.events.off('event', onEvent);
+    logger.info(`[${new Date().toISOString()}] JOB ${job.id} events subscriber disconnected`);
+  });
+});
+
+// Download the output of a completed job
+app.get('/jobs/:id/result', (req, res) => {
+  const timestamp = new Date().toISOString();
+  const job = findOwnedJob(req, req.params.id);
+
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+  if (job.state !== 'completed') {
+    return sendError(res, 409, `Job is not completed (state: ${job.state})`, { code: 'JOB_NOT_COMPLETED', details: { state: job.state } });
+  }
+  if (job.responseHeaders) {
+    res.set(job.responseHeaders);
+  }
+  if (job.result) {
+    return res.json({ jobId: job.id, ...job.result });
+  }
+
+  // The result is kept until the job expires, so a dropped download can be retried
+  res.download(job.outputPath, (err) => {
     if (err) {
-      fs.unlinkSync(req.file.path);
-      console.log(`[${timestamp}] REMOVE-LETTERBOX probe failed: ${err.message}`);
-      return res.status(500).json({ error: 'Failed to analyze video: ' + err.message });
+      logger.error(`[${timestamp}] Download error:`, err);
     }
+  });
+});
 
-    // Run cropdetect to find optimal crop parameters
-    const tempOutput = `/tmp/cropdetect_${Date.now()}.log`;
-    
-    ffmpeg(req.file.path)
-      .videoFilters('cropdetect=24:16:0')
-      .format('null')
-      .output('-')
-      .on('start', (commandLine) => {
-        console.log(`[${timestamp}] FFmpeg cropdetect started: ${commandLine}`);
-      })
-      .on('stderr', (stderrLine) => {
-        // Collect all crop detection results
-        if (stderrLine.includes('crop=')) {
-          fs.appendFileSync(tempOutput, stderrLine + '\n');
-        }
-      })
-      .on('end', () => {
-        try {
-          // Read and analyze crop detection results
-          const cropLog = fs.readFileSync(tempOutput, 'utf8');
-          const cropMatches = cropLog.match(/crop=(\d+):(\d+):(\d+):(\d+)/g);
-          
-          if (cropMatches && cropMatches.length > 0) {
-            // Get the most common crop parameters (last few should be stable)
-            const lastCrop = cropMatches[cropMatches.length - 1];
-            const [, width, height, x, y] = lastCrop.match(/crop=(\d+):(\d+):(\d+):(\d+)/);
-            
-            console.log(`[${timestamp}] Detected crop parameters: ${width}:${height}:${x}:${y}`);
-            
-            // Apply the crop filter to remove black bars
-            const cropStartTime = Date.now();
-            console.log(`[${timestamp}] Starting crop processing with parameters: ${width}:${height}:${x}:${y}`);
-            
-            ffmpeg(req.file.path)
-              .videoFilters(`crop=${width}:${height}:${x}:${y}`)
-              .toFormat(format)
-              .on('start', (commandLine) => {
-                console.log(`[${timestamp}] FFmpeg black bar removal started: ${commandLine}`);
-              })
-              .on('progress', (progress) => {
-                if (progress.percent) {
-                  const elapsed = ((Date.now() - cropStartTime) / 1000).toFixed(1);
-                  console.log(`[${timestamp}] Black bar removal progress: ${Math.round(progress.percent)}% - Elapsed: ${elapsed}s`);
-                }
-              })
-              .on('end', () => {
-                // Clean up files
-                fs.unlinkSync(req.file.path);
-                if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-                
-                const totalProcessTime = ((Date.now() - processStartTime) / 1000).toFixed(1);
-                const cropProcessTime = ((Date.now() - cropStartTime) / 1000).toFixed(1);
-                const outputStats = fs.statSync(outputPath);
-                
-                console.log(`[${timestamp}] REMOVE-LETTERBOX request completed - Output: ${outputStats.size} bytes`);
-                console.log(`[${timestamp}] Processing times - Crop: ${cropProcessTime}s, Total: ${totalProcessTime}s`);
-                
-                // Send the processed file
-                res.download(outputPath, (err) => {
-                  if (err) {
-                    console.error(`[${timestamp}] Download error:`, err);
-                  }
-                  // Clean up output file after download
-                  fs.unlinkSync(outputPath);
-                });
-              })
-              .on('error', (err) => {
-                // Clean up files
-                fs.unlinkSync(req.file.path);
-                if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-                console.log(`[${timestamp}] REMOVE-LETTERBOX request failed: ${err.message}`);
-                res.status(500).json({ error: err.message });
-              })
-              .save(outputPath);
-          } else {
-            // No crop needed or detection failed
-            fs.unlinkSync(req.file.path);
-            if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-            console.log(`[${timestamp}] No black bars detected in video`);
-            res.status(400).json({ error: 'No black bars detected in the video' });
+// Cancel a queued or running job, or discard a finished one and its result
+app.delete('/jobs/:id', (req, res) => {
+  const timestamp = new Date().toISOString();
+  const job = findOwnedJob(req, req.params.id);
+
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+
+  if (job.state === 'queued' || job.state === 'running') {
+    logger.info(`[${timestamp}] JOB ${job.id} cancellation requested (state: ${job.state})`);
+    cancelJob(job);
+    return res.status(202).json({ jobId: job.id, state: job.state === 'running' ? 'cancelling' : job.state });
+  }
+
+  logger.info(`[${timestamp}] JOB ${job.id} removed (state: ${job.state})`);
+  removeJob(job);
+  res.json({ jobId: job.id, state: 'removed' });
+});
+
+// API description
+// One entry per route. The OpenAPI document (/openapi.json), the endpoint list in GET / and request
+// validation are all derived from this table, so a field has to be listed here to be checked (and, with
+// STRICT_VALIDATION=true, to be accepted at all).
+// `fields` are form/JSON fields as (a subset of) JSON Schema; routes marked `raw` also take the media
+// as the request body, with the fields in the query string. `produces` lists the 200 content types.
+const TIME_PATTERN = '^(\\d+(\\.\\d+)?|(\\d+:){1,2}\\d+(\\.\\d+)?)$';
+// Unknown fields are ignored (and logged) unless strict validation is turned on
+const STRICT_VALIDATION = process.env.STRICT_VALIDATION === 'true';
+
+const stringField = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const enumField = (values, description, defaultValue) => ({ type: 'string', enum: values, default: defaultValue, description });
+const numberField = (description, minimum, maximum) => ({ type: 'number', minimum, maximum, description });
+const integerField = (description, minimum, maximum) => ({ type: 'integer', minimum, maximum, description });
+const booleanField = (description) => ({ type: 'boolean', description });
+const timeField = (description) => stringField(`${description}: seconds (12.5) or [[hh:]mm:]ss[.ms]`, { pattern: TIME_PATTERN });
+
+const INPUT_FIELDS = {
+  url: stringField('http(s) URL or s3://bucket/key to fetch instead of uploading a file')
+};
+const OUTPUT_FIELDS = {
+  outputUrl: stringField('Presigned PUT URL or s3://bucket/key to upload the result to')
+};
+const JOB_FIELDS = {
+  async: booleanField('Return 202 with a job ID instead of waiting for the result'),
+  callbackUrl: stringField('URL that receives a signed POST when the async job finishes')
+};
+// Raw uploads also take their file name in the query string
+const RAW_FILENAME_FIELD = stringField('File name of a raw (request body) upload');
+const AUDIO_SELECTION_FIELDS = {
+  stream: integerField('Index of the audio stream to use', 0, 1000),
+  language: stringField('ISO 639 language of the audio stream to use (e.g. eng)', { pattern: '^[a-z]{2,3}$' })
+};
+
+// The /convert and /overlay encoding parameters, described from their allowlists and ranges
+function encodingFields(names) {
+  return Object.fromEntries(names.map((name) => {
+    if (name === 'audioSampleRate') {
+      return [name, { type: 'integer', enum: ENCODING_ALLOWLIST.audioSampleRate, description: 'Audio sample rate in Hz' }];
+    }
+    if (ENCODING_ALLOWLIST[name]) {
+      return [name, enumField(ENCODING_ALLOWLIST[name], name)];
+    }
+    if (ENCODING_RANGES[name]) {
+      const [min, max] = ENCODING_RANGES[name];
+      return [name, name === 'fps' ? numberField(name, min, max) : integerField(name, min, max)];
+    }
+    return [name, stringField(`${name} in kbps, optionally with a k/M suffix (e.g. 2500k)`, { pattern: '^\\d+(\\.\\d+)?[kM]?$' })];
+  }));
+}
+
+const API_ROUTES = [
+  { method: 'get', path: '/', tag: 'service', summary: 'API information', produces: ['application/json'] },
+  { method: 'get', path: '/health', tag: 'service', summary: 'Health check endpoint', produces: ['application/json'] },
+  { method: 'get', path: '/health/live', tag: 'service', summary: 'Liveness probe: the process is up and serving requests', produces: ['application/json'] },
+  { method: 'get', path: '/health/ready', tag: 'service', summary: 'Readiness probe: disk space, queue saturation and a tiny test encode (503 when not ready)', produces: ['application/json'] },
+  { method: 'get', path: '/capabilities', tag: 'service', summary: 'ffmpeg/ffprobe versions, encoders, decoders, filters, formats and which optional libraries (libx265, libaom-av1, libwebp, ...) are available', produces: ['application/json'] },
+  { method: 'get', path: '/metrics', tag: 'service', summary: 'Prometheus metrics: requests, latency, bytes, ffmpeg processes, queue depth, failures and encode speed', produces: ['text/plain'] },
+  { method: 'get', path: '/openapi.json', tag: 'service', summary: 'OpenAPI 3 description of this API', produces: ['application/json'] },
+  { method: 'get', path: '/docs', tag: 'service', summary: 'Interactive API documentation (Swagger UI)', produces: ['text/html'] },
+  {
+    method: 'post', path: '/convert', tag: 'video', raw: true, files: ['file'], async: true,
+    summary: 'Convert media file (supports format, encoding parameters and named profiles; raw request bodies and stream=true for streamed input/output)',
+    produces: ['application/octet-stream', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      profile: stringField('Named encoding profile (see GET /profiles)'),
+      format: enumField(Object.keys(MEDIA_FORMATS), 'Output format', 'mp4'),
+      stream: booleanField('Stream the output as it is encoded (mp4, mov, webm, mkv, ts)'),
+      ...encodingFields(ENCODING_PARAMS)
+    }
+  },
+  { method: 'get', path: '/profiles', tag: 'video', summary: 'List encoding profiles and allowed encoding parameter values', produces: ['application/json'] },
+  {
+    method: 'post', path: '/info', tag: 'media', raw: true, files: ['file'],
+    summary: 'Get media file information (view=summary for a normalized summary with a webPlayable verdict)',
+    produces: ['application/json'],
+    fields: { ...INPUT_FIELDS, view: enumField(METADATA_VIEWS, 'Raw ffprobe output or a normalized summary', 'raw') }
+  },
+  {
+    method: 'post', path: '/probe', tag: 'media', required: ['url'],
+    summary: 'Get complete media metadata via ffprobe (supports URL parameter and thumbnail generation)',
+    produces: ['application/json', 'image/*'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS,
+      view: enumField(METADATA_VIEWS, 'Raw ffprobe output or a normalized summary', 'raw'),
+      thumbnail: booleanField('Return a thumbnail image instead of the metadata'),
+      format: enumField(IMAGE_FORMATS, 'Thumbnail format', 'jpg'),
+      time: numberField('Thumbnail time in seconds', 0)
+    }
+  },
+  {
+    method: 'post', path: '/trim', tag: 'video', raw: true, files: ['file'], async: true,
+    summary: 'Cut a clip out of a media file (start/end or duration, fast or accurate mode)',
+    produces: ['application/octet-stream', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      format: enumField(Object.keys(MEDIA_FORMATS), 'Output format', 'mp4'),
+      mode: enumField(['fast', 'accurate'], 'fast copies streams and cuts on keyframes; accurate re-encodes', 'fast'),
+      start: timeField('Start time'),
+      end: timeField('End time'),
+      duration: timeField('Clip duration')
+    }
+  },
+  {
+    method: 'post', path: '/concat', tag: 'video', files: ['files'], async: true,
+    summary: 'Join several uploaded media files (or urls) into one',
+    produces: ['application/octet-stream', 'application/json'],
+    fields: {
+      ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      urls: { type: 'array', items: { type: 'string' }, maxItems: MAX_CONCAT_FILES, description: 'URLs to fetch instead of uploading files (JSON array)' },
+      format: enumField(Object.keys(MEDIA_FORMATS), 'Output format', 'mp4')
+    }
+  },
+  {
+    method: 'post', path: '/package', tag: 'video', raw: true, files: ['file'], async: true,
+    summary: 'Package video as HLS and/or DASH with an adaptive bitrate ladder (upload or URL)',
+    produces: ['application/zip', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      formats: stringField('Comma-separated packagers: hls, dash', { pattern: '^(hls|dash)(\\s*,\\s*(hls|dash))*$', default: 'hls' }),
+      output: enumField(['zip', 'path'], 'Return a zip, or serve the files from /packages/{jobId}/', 'zip'),
+      preset: enumField(ENCODING_ALLOWLIST.preset, 'x264 preset', 'veryfast'),
+      segmentDuration: integerField('Segment duration in seconds', 1, 30),
+      encrypt: booleanField('AES-128 encrypt the HLS segments'),
+      keyUrl: stringField('URI of the key written into the HLS playlists'),
+      ladder: {
+        type: 'array', maxItems: MAX_LADDER_RUNGS, description: 'Renditions (JSON array)',
+        items: { type: 'object', properties: Object.fromEntries(LADDER_FIELDS.map((name) => [name, {}])) }
+      }
+    }
+  },
+  { method: 'get', path: '/packages/:jobId/:file', tag: 'video', summary: 'Packaged HLS/DASH output served from a path (package output=path)', produces: ['application/octet-stream'] },
+  {
+    method: 'post', path: '/random-screenshot', tag: 'images', raw: true, files: ['file'], async: true,
+    summary: 'Generate screenshot from video at a random, seeded, explicit (time/percent) or best-frame timestamp',
+    produces: ['image/*', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      format: enumField(IMAGE_FORMATS, 'Image format', 'jpg'),
+      mode: enumField(['random', 'best'], 'A random frame, or the sharpest of several candidates', 'random'),
+      seed: stringField('Seed for a reproducible random timestamp', { maxLength: 128 }),
+      time: timeField('Explicit timestamp'),
+      percent: numberField('Explicit position as a percentage of the duration', 0, 100)
+    }
+  },
+  {
+    method: 'post', path: '/sprites', tag: 'images', raw: true, files: ['file'], async: true,
+    summary: 'Thumbnail sprite sheets with a WebVTT track, or N evenly spaced screenshots (zip)',
+    produces: ['application/zip', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      mode: enumField(['sprite', 'screenshots'], 'Sprite sheets with a WebVTT track, or single screenshots', 'sprite'),
+      format: enumField(IMAGE_FORMATS, 'Image format', 'jpg'),
+      interval: numberField('Seconds between thumbnails (sprite mode)', 0.1, 3600),
+      count: integerField('Number of thumbnails', 1, 1000),
+      columns: integerField('Thumbnails per sprite row', 1, 20),
+      rows: integerField('Rows per sprite sheet', 1, 20),
+      width: integerField('Thumbnail width (even)', 16, 1920)
+    }
+  },
+  {
+    method: 'post', path: '/preview', tag: 'images', raw: true, files: ['file'], async: true,
+    summary: 'Looping animated preview (GIF with a two-pass palette, animated WebP or APNG) of one clip or of segments sampled across the video, optionally fitted to maxBytes',
+    produces: ['image/gif', 'image/webp', 'image/png', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      format: enumField(Object.keys(PREVIEW_FORMATS), 'Animation format', 'gif'),
+      mode: enumField(['clip', 'auto'], 'One clip (start/duration), or segments sampled across the video (default without start/duration)'),
+      start: timeField('Clip start'),
+      duration: timeField(`Clip duration (default 3, at most ${PREVIEW_MAX_DURATION})`),
+      segments: integerField('Number of sampled segments (auto mode, default 5)', 1, 12),
+      segmentDuration: numberField('Seconds per sampled segment (auto mode, default 1.5)', 0.5, 5),
+      width: integerField('Maximum output width (default 480)', 16, 1920),
+      fps: integerField('Frame rate (default 10)', 1, 30),
+      maxBytes: integerField('Size target: quality, width and fps are stepped down until the preview fits (422 if it never does)', 10 * 1024, 50 * 1024 * 1024)
+    }
+  },
+  {
+    method: 'post', path: '/overlay', tag: 'video', files: ['file', 'watermark', 'subtitles'], async: true,
+    summary: 'Burn a watermark image, text overlays (position presets, timing windows) and SRT/ASS subtitles into a video',
+    produces: ['application/octet-stream', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      format: enumField(OVERLAY_FORMATS, 'Output format', 'mp4'),
+      ...encodingFields(OVERLAY_ENCODING_FIELDS),
+      texts: {
+        type: 'array', items: { type: 'object' }, maxItems: MAX_TEXT_OVERLAYS,
+        description: 'Several text overlays (JSON array of objects with the text fields below)'
+      },
+      text: stringField('Text to draw'),
+      font: stringField('Font family', { pattern: '^[A-Za-z0-9][A-Za-z0-9 \\-]{0,63}$' }),
+      fontSize: numberField('Font size in pixels', 8, 400),
+      fontColor: stringField('#RRGGBB or a color name'),
+      opacity: numberField('Text opacity', 0, 1),
+      box: booleanField('Draw a box behind the text'),
+      boxColor: stringField('#RRGGBB or a color name'),
+      boxOpacity: numberField('Box opacity', 0, 1),
+      boxBorder: numberField('Box padding in pixels', 0, 100),
+      position: enumField(Object.keys(OVERLAY_POSITIONS), 'Text position', 'bottom-right'),
+      margin: numberField('Distance from the edges in pixels', 0, 2000),
+      start: timeField('Show the text from'),
+      end: timeField('Show the text until'),
+      watermarkPosition: enumField(Object.keys(OVERLAY_POSITIONS), 'Watermark position', 'top-right'),
+      watermarkMargin: numberField('Watermark distance from the edges in pixels', 0, 2000),
+      watermarkWidth: integerField('Watermark width in pixels', 8, 4096),
+      watermarkOpacity: numberField('Watermark opacity', 0, 1)
+    }
+  },
+  {
+    method: 'post', path: '/compare', tag: 'video', files: ['reference', 'distorted'], async: true,
+    summary: 'Compare an encoded file with its reference: PSNR, SSIM and VMAF (when libvmaf is available), overall and per frame',
+    produces: ['application/json'],
+    fields: {
+      ...JOB_FIELDS,
+      referenceUrl: stringField('URL of the reference instead of an upload'),
+      distortedUrl: stringField('URL of the encoded file instead of an upload'),
+      vmaf: enumField(['auto', 'true', 'false'], 'Compute VMAF (auto: when libvmaf is available)', 'auto'),
+      perFrame: booleanField('Include per-frame scores')
+    }
+  },
+  {
+    method: 'post', path: '/audio/extract', tag: 'audio', raw: true, files: ['file'], async: true,
+    summary: 'Extract an audio track (by stream index or language) to mp3, aac, opus, flac or wav',
+    produces: ['audio/*', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS, ...AUDIO_SELECTION_FIELDS,
+      format: enumField(Object.keys(AUDIO_FORMATS), 'Output format', 'mp3'),
+      audioBitrate: stringField('Audio bitrate (e.g. 128k)', { pattern: '^\\d{2,3}k$' }),
+      sampleRate: integerField('Sample rate in Hz', 8000, 96000)
+    }
+  },
+  {
+    method: 'post', path: '/audio/normalize', tag: 'audio', raw: true, files: ['file'], async: true,
+    summary: 'Two-pass EBU R128 loudness normalization (targetI, targetTP, targetLRA)',
+    produces: ['audio/*', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS, ...AUDIO_SELECTION_FIELDS,
+      format: enumField(Object.keys(AUDIO_FORMATS), 'Output format', 'mp3'),
+      audioBitrate: stringField('Audio bitrate (e.g. 128k)', { pattern: '^\\d{2,3}k$' }),
+      sampleRate: integerField('Sample rate in Hz', 8000, 96000),
+      targetI: numberField('Integrated loudness target in LUFS', -70, -5),
+      targetTP: numberField('True peak target in dBTP', -9, 0),
+      targetLRA: numberField('Loudness range target in LU', 1, 50)
+    }
+  },
+  {
+    method: 'post', path: '/audio/waveform', tag: 'audio', raw: true, files: ['file'], async: true,
+    summary: 'Waveform as a PNG image or JSON peaks',
+    produces: ['image/png', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS, ...AUDIO_SELECTION_FIELDS,
+      format: enumField(['png', 'json'], 'PNG image or JSON peaks', 'png'),
+      color: stringField('Hex color of the waveform', { pattern: '^#?[0-9a-f]{6}$', default: '3b82f6' }),
+      width: integerField('Image width', 16, 7680),
+      height: integerField('Image height', 16, 2160),
+      points: integerField('Number of JSON peaks', 10, MAX_WAVEFORM_PEAKS)
+    }
+  },
+  {
+    method: 'post', path: '/audio/silence', tag: 'audio', raw: true, files: ['file'], async: true,
+    summary: 'Silent intervals detected by silencedetect (JSON)',
+    produces: ['application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...JOB_FIELDS, ...AUDIO_SELECTION_FIELDS,
+      noise: numberField('Silence threshold in dB', -90, 0),
+      minDuration: numberField('Minimum silence duration in seconds', 0.01, 60)
+    }
+  },
+  {
+    method: 'post', path: '/remove-letterbox', tag: 'video', raw: true, files: ['file'], async: true,
+    summary: 'Remove black bars (letterbox/pillarbox) from video, or only detect them (detectOnly=true)',
+    produces: ['application/octet-stream', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      format: enumField(Object.keys(MEDIA_FORMATS), 'Output format', 'mp4'),
+      detectOnly: booleanField('Only report the detected crop'),
+      samples: integerField('Number of sampled positions', 1, 50),
+      limit: integerField('cropdetect black threshold', 0, 255),
+      round: integerField('Round the crop to a multiple of (even)', 2, 128)
+    }
+  },
+  {
+    method: 'post', path: '/pipeline', tag: 'video', raw: true, files: ['file'], async: true, required: ['steps'],
+    summary: 'Run an ordered list of steps (convert, trim, remove-letterbox, screenshot, sprites, probe, audio-extract, audio-silence) over one input; returns a zip or JSON manifest',
+    produces: ['application/zip', 'application/json'],
+    fields: {
+      ...INPUT_FIELDS, ...OUTPUT_FIELDS, ...JOB_FIELDS,
+      steps: {
+        type: 'array', maxItems: MAX_PIPELINE_STEPS,
+        description: 'Steps to run in order (JSON array); each takes the fields of the matching route',
+        items: { type: 'object', required: ['op'], properties: { op: { type: 'string', enum: Object.keys(PIPELINE_STEPS) } } }
+      },
+      output: enumField(['zip', 'json'], 'Return a zip, or a JSON manifest with the files under /pipelines/{jobId}/', 'zip')
+    }
+  },
+  { method: 'get', path: '/pipelines/:jobId/:file', tag: 'video', summary: 'Pipeline outputs served from a path (pipeline output=json)', produces: ['application/octet-stream'] },
+  { method: 'get', path: '/jobs/:id', tag: 'jobs', summary: 'Get status and progress of a job (use async=true on any processing route that queues a job)', produces: ['application/json'] },
+  { method: 'get', path: '/jobs/:id/events', tag: 'jobs', summary: 'Stream job progress as Server-Sent Events', produces: ['text/event-stream'] },
+  { method: 'get', path: '/jobs/:id/result', tag: 'jobs', summary: 'Download the output of a completed job (supports Range requests)', produces: ['application/octet-stream'] },
+  { method: 'delete', path: '/jobs/:id', tag: 'jobs', summary: 'Cancel a queued or running job, or discard a finished one', produces: ['application/json'] }
+];
+
+// Returns a message when `value` does not match `schema`, or null. Form fields are strings, so numbers
+// and booleans are accepted as strings too; enums and patterns are matched case-insensitively.
+function checkFieldValue(schema, value) {
+  switch (schema.type) {
+    case 'boolean':
+      return [true, false, 'true', 'false', '1', '0'].includes(value) ? null : 'Expected true or false';
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+      if (!Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        return `Expected ${schema.type === 'integer' ? 'an integer' : 'a number'}`;
+      }
+      if (schema.enum && !schema.enum.includes(number)) {
+        return `Expected one of ${schema.enum.join(', ')}`;
+      }
+      if (number < schema.minimum || number > schema.maximum) {
+        return schema.maximum === undefined
+          ? `Expected a value of at least ${schema.minimum}`
+          : `Expected a value between ${schema.minimum} and ${schema.maximum}`;
+      }
+      return null;
+    }
+    case 'array': {
+      let items = value;
+      if (typeof value === 'string') {
+        // A single string is accepted for lists of strings (e.g. one URL)
+        if (!value.trim().startsWith('[')) {
+          items = schema.items.type === 'string' ? [value] : null;
+        } else {
+          try {
+            items = JSON.parse(value);
+          } catch (err) {
+            items = null;
           }
-        } catch (readError) {
-          fs.unlinkSync(req.file.path);
-          if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-          console.log(`[${timestamp}] REMOVE-LETTERBOX analysis failed: ${readError.message}`);
-          res.status(500).json({ error: 'Failed to analyze crop detection results' });
         }
-      })
-      .on('error', (err) => {
-        // Clean up files
-        fs.unlinkSync(req.file.path);
-        if (fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-        console.log(`[${timestamp}] REMOVE-LETTERBOX detection failed: ${err.message}`);
-        res.status(500).json({ error: 'Failed to detect black bars: ' + err.message });
-      })
-      .run();
+      }
+      if (!Array.isArray(items)) {
+        return 'Expected a JSON array';
+      }
+      if (schema.maxItems && items.length > schema.maxItems) {
+        return `Expected at most ${schema.maxItems} items`;
+      }
+      for (const [index, item] of items.entries()) {
+        const message = checkFieldValue(schema.items, item);
+        if (message) return `Item ${index + 1}: ${message}`;
+      }
+      return null;
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'Expected an object';
+      }
+      const missing = (schema.required || []).find((name) => value[name] === undefined);
+      if (missing) {
+        return `Missing ${missing}`;
+      }
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        const message = property.type && value[name] !== undefined ? checkFieldValue(property, value[name]) : null;
+        if (message) return `${name}: ${message}`;
+      }
+      return null;
+    }
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return 'Expected a string';
+      }
+      const text = String(value);
+      if (schema.enum && !schema.enum.includes(text.toLowerCase())) {
+        return `Unsupported value: ${text}. Expected one of ${schema.enum.join(', ')}`;
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'i').test(text)) {
+        return `Invalid value: ${text}`;
+      }
+      if (schema.maxLength && text.length > schema.maxLength) {
+        return `Expected at most ${schema.maxLength} characters`;
+      }
+      return null;
+    }
+  }
+}
+
+// Middleware for the POST routes, placed after the upload has been parsed: reject values that don't
+// match the route's entry in API_ROUTES (and, in strict mode, unknown fields) with 400 VALIDATION_FAILED
+function validateRequest(req, res, next) {
+  const route = API_ROUTES.find((entry) => entry.method === req.method.toLowerCase() && entry.path === req.route.path);
+  const fields = { ...route.fields, ...(route.raw ? { filename: RAW_FILENAME_FIELD } : {}) };
+  // Every route reads `async` (and /info and /probe `view`) from the query string as well
+  const values = { ...req.query, ...req.body };
+  const problems = [];
+  const ignored = [];
+
+  for (const [name, value] of Object.entries(values)) {
+    if (!fields[name]) {
+      if (STRICT_VALIDATION) {
+        problems.push({ field: name, message: 'Unknown field' });
+      } else {
+        ignored.push(name);
+      }
+      continue;
+    }
+    const message = value === undefined || value === '' ? null : checkFieldValue(fields[name], value);
+    if (message) problems.push({ field: name, message });
+  }
+  for (const name of route.required || []) {
+    if (values[name] === undefined || values[name] === '') {
+      problems.push({ field: name, message: 'Required' });
+    }
+  }
+
+  if (ignored.length > 0) {
+    logger.info(`[${new Date().toISOString()}] ${req.method} ${req.path} ignoring unknown fields: ${ignored.join(', ')}`);
+  }
+  if (problems.length === 0) return next();
+
+  cleanupRequestFiles(req);
+  logger.info(`[${new Date().toISOString()}] ${req.method} ${req.path} rejected: ${problems.map((problem) => `${problem.field}: ${problem.message}`).join('; ')}`);
+  sendError(res, 400, `Invalid request: ${problems.map((problem) => problem.field).join(', ')}`, {
+    code: 'VALIDATION_FAILED',
+    details: problems
   });
+}
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message', 'source'],
+      properties: {
+        code: { type: 'string', description: 'Machine-readable error code, e.g. VALIDATION_FAILED or FFMPEG_FAILED' },
+        message: { type: 'string' },
+        source: { type: 'string', enum: ['user', 'ffmpeg', 'server'], description: 'user: fix the request; ffmpeg: ffmpeg failed (details.stderr has the end of its output); server: anything else' },
+        details: { nullable: true, description: 'Field errors for VALIDATION_FAILED, ffmpeg stderr for FFMPEG_FAILED, other context otherwise' }
+      }
+    }
+  }
+};
+const JOB_ACCEPTED_SCHEMA = {
+  type: 'object',
+  properties: {
+    jobId: { type: 'string', format: 'uuid' },
+    state: { type: 'string', enum: ['queued', 'running'] },
+    statusUrl: { type: 'string' },
+    resultUrl: { type: 'string' }
+  }
+};
+
+function contentSchema(type) {
+  if (type === 'application/json') return { type: 'object' };
+  if (type.startsWith('text/')) return { type: 'string' };
+  return { type: 'string', format: 'binary' };
+}
+
+function buildOperation(route) {
+  const errorResponse = { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    parameters: [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    responses: {
+      200: { description: 'OK', content: Object.fromEntries(route.produces.map((type) => [type, { schema: contentSchema(type) }])) },
+      default: errorResponse
+    }
+  };
+  if (PUBLIC_PATHS.includes(route.path)) {
+    operation.security = [];
+  }
+  if (route.async) {
+    operation.responses[202] = {
+      description: 'Accepted as an async job (async=true)',
+      content: { 'application/json': { schema: JOB_ACCEPTED_SCHEMA } }
+    };
+  }
+  if (!route.fields) {
+    return operation;
+  }
+
+  const required = route.required || [];
+  const files = Object.fromEntries((route.files || []).map((name) => [name, name === 'files'
+    ? { type: 'array', items: { type: 'string', format: 'binary' } }
+    : { type: 'string', format: 'binary' }]));
+  const objectSchema = (properties) => ({ type: 'object', properties, ...(required.length > 0 ? { required } : {}), additionalProperties: !STRICT_VALIDATION });
+  operation.requestBody = {
+    required: true,
+    content: {
+      'application/json': { schema: objectSchema(route.fields) }
+    }
+  };
+  if (route.files) {
+    operation.requestBody.content['multipart/form-data'] = { schema: objectSchema({ ...files, ...route.fields }) };
+  }
+  // A raw upload is the request body itself, so its fields move to the query string
+  if (route.raw) {
+    operation.requestBody.content['application/octet-stream'] = { schema: { type: 'string', format: 'binary' } };
+    operation.description = 'The media can also be sent as the raw request body (video/*, audio/* or application/octet-stream), with the fields as query parameters.';
+    operation.parameters.push(...Object.entries({ filename: RAW_FILENAME_FIELD, ...route.fields }).map(([name, schema]) => ({
+      name, in: 'query', required: false, schema
+    })));
+  }
+  return operation;
+}
+
+let openApiDocument = null;
+
+function getOpenApiDocument() {
+  if (openApiDocument) return openApiDocument;
+
+  const paths = {};
+  for (const route of API_ROUTES) {
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = { ...paths[openApiPath], [route.method]: buildOperation(route) };
+  }
+  openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+      title: 'FFmpeg RESTful API',
+      version: SERVICE_VERSION,
+      description: 'Media processing with ffmpeg over HTTP. Processing routes take a multipart upload, a JSON body with a `url`, or (where noted) the raw media as the request body. Every error response has the Error shape.'
+    },
+    tags: ['service', 'media', 'video', 'images', 'audio', 'jobs'].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      }
+    },
+    security: [{ apiKey: [] }, { bearer: [] }]
+  };
+  return openApiDocument;
+}
+
+app.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiDocument());
 });
 
-// Start server
-app.listen(PORT, () => {
+// Swagger UI, with its assets served from the installed swagger-ui-dist package so /docs works offline
+app.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>FFmpeg RESTful API</title>
+  <link rel="stylesheet" href="docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="docs/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>`);
+});
+
+for (const file of ['swagger-ui.css', 'swagger-ui-bundle.js']) {
+  app.get(`/docs/${file}`, (req, res) => {
+    res.sendFile(path.join(swaggerUiDist.getAbsoluteFSPath(), file), { maxAge: '1d' });
+  });
+}
+
+// Temp file sweeper
+// Workspaces and outputs are removed as requests and jobs finish, but a crash or restart leaves them
+// behind. At startup and every SWEEP_INTERVAL, anything in uploads/ and outputs/ (including package
+// and pipeline directories) that no live request or job refers to and is older than TEMP_FILE_TTL is deleted.
+const TEMP_FILE_TTL = (parseInt(process.env.TEMP_FILE_TTL, 10) || 6 * 3600) * 1000;
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+function sweepTempFiles() {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ==========================================`);
-  console.log(`[${timestamp}] 🚀 FFmpeg RESTful API Server Started`);
-  console.log(`[${timestamp}] 📍 Port: ${PORT}`);
-  console.log(`[${timestamp}] 🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`[${timestamp}] 📊 Node.js: ${process.version}`);
-  console.log(`[${timestamp}] 🖥️  Platform: ${process.platform} ${process.arch}`);
-  console.log(`[${timestamp}] 💾 Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`);
-  console.log(`[${timestamp}] 🔗 Health Check: http://localhost:${PORT}/health`);
-  console.log(`[${timestamp}] 📚 Documentation: http://localhost:${PORT}/`);
-  console.log(`[${timestamp}] ==========================================`);
-});
\ No newline at end of file
+  const inUse = new Set(activeWorkspaces);
+  for (const job of jobs.values()) {
+    if (job.outputPath) inUse.add(path.join(job.outputPath));
+    if (job.workspace) inUse.add(job.workspace);
+    inUse.add(path.join(packagesDir, job.id));
+    inUse.add(path.join(pipelinesDir, job.id));
+  }
+
+  // packagesDir and pipelinesDir are swept entry by entry rather than as a whole
+  const sweptDirs = [uploadDir, outputDir, packagesDir, pipelinesDir];
+  let removed = 0;
+  for (const dir of sweptDirs) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch (err) {
+      continue;
+    }
+    for (const name of entries) {
+      const entryPath = path.join(dir, name);
+      if (sweptDirs.includes(entryPath) || inUse.has(entryPath)) continue;
+      try {
+        if (Date.now() - fs.statSync(entryPath).mtimeMs < TEMP_FILE_TTL) continue;
+      } catch (err) {
+        continue;
+      }
+      removePath(entryPath);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`[${timestamp}] SWEEP removed ${removed} orphaned temp file(s) older than ${TEMP_FILE_TTL / 1000}s`);
+  }
+}
+
+sweepTempFiles();
+setInterval(sweepTempFiles, SWEEP_INTERVAL).unref();
+
+// Anything that no route matched
+app.use((req, res) => {
+  sendError(res, 404, `Not found: ${req.method} ${req.path}. See GET /openapi.json for the available routes`);
+});
+
+// Upload errors (size limit, unexpected field, ...) from multer
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) {
+    return next(err);
+  }
+  logger.info(`[${new Date().toISOString()}] ${req.method} ${req.url} upload failed: ${err.message}`);
+  const statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  sendError(res, statusCode, `Upload failed: ${err.message}`);
+});
+
+// Everything else that was passed to next(err), e.g. a JSON body that doesn't parse
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  const statusCode = err.status || err.statusCode || 500;
+  logger.error(`[${new Date().toISOString()}] ${req.method} ${req.url} failed: ${err.message}`);
+  const message = err.type === 'entity.parse.failed' ? `Invalid JSON body: ${err.message}` : err.message;
+  sendError(res, statusCode, statusCode < 500 ? message : 'Internal server error');
+});
+
+// Start server (the tests load this module and listen on a port of their own)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    const timestamp = new Date().toISOString();
+    logger.info(`[${timestamp}] ==========================================`);
+    logger.info(`[${timestamp}] 🚀 FFmpeg RESTful API Server Started`);
+    logger.info(`[${timestamp}] 📍 Port: ${PORT}`);
+    logger.info(`[${timestamp}] 🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`[${timestamp}] 📊 Node.js: ${process.version}`);
+    logger.info(`[${timestamp}] 🖥️  Platform: ${process.platform} ${process.arch}`);
+    logger.info(`[${timestamp}] 💾 Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`);
+    logger.info(`[${timestamp}] 🔐 Authentication: ${apiKeys.size > 0 ? `${apiKeys.size} API key(s)` : 'disabled (no API keys configured)'}`);
+    logger.info(`[${timestamp}] 🔗 Health Check: http://localhost:${PORT}/health`);
+    logger.info(`[${timestamp}] 📚 Documentation: http://localhost:${PORT}/`);
+    logger.info(`[${timestamp}] ==========================================`);
+  });
+}
+
+module.exports = { app, isPrivateAddress, isHostAllowed, lookupPublicHost };
\ No newline at end of file
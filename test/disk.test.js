@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer, mediaForm } = require('./helpers');
+
+let server;
+
+before(async () => {
+  // More free space than any volume has, so every POST finds the disk "full"
+  server = await startServer({ MIN_FREE_DISK_BYTES: String(Number.MAX_SAFE_INTEGER) });
+});
+
+after(() => server.close());
+
+test('POST requests are rejected with 507 while disk space is low', async () => {
+  const res = await fetch(`${server.baseUrl}/convert`, { method: 'POST', body: mediaForm({ format: 'webm' }) });
+  assert.strictEqual(res.status, 507);
+  assert.strictEqual((await res.json()).error.code, 'INSUFFICIENT_STORAGE');
+  // Rejected before the upload is stored
+  assert.deepStrictEqual(fs.readdirSync('uploads'), []);
+});
+
+test('requests that do not write to disk are still served', async () => {
+  assert.strictEqual((await fetch(`${server.baseUrl}/health/live`)).status, 200);
+  assert.strictEqual((await fetch(`${server.baseUrl}/jobs/unknown`)).status, 404);
+});
+
+test('the readiness check reports the low disk space', async () => {
+  const res = await fetch(`${server.baseUrl}/health/ready`);
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual((await res.json()).checks.disk.ok, false);
+});
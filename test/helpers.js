@@ -0,0 +1,51 @@
+// Shared setup for the tests: each test file runs in its own process (node --test), configures the
+// server through the environment, then loads index.js inside a scratch directory so uploads/,
+// outputs/ and api-keys.json never touch the working tree.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Start the app on a free port; resolves to { baseUrl, app, close, ...exports }. `setup` runs in the
+// scratch directory before the module loads, e.g. to write an API keys file.
+function startServer(env = {}, setup = () => {}) {
+  Object.assign(process.env, {
+    FFMPEG_PATH: path.join(FIXTURES, 'ffmpeg'),
+    FFPROBE_PATH: path.join(FIXTURES, 'ffprobe'),
+    // The scratch volume may well have less than the 1 GiB the server keeps free by default
+    MIN_FREE_DISK_BYTES: '1'
+  }, env);
+  const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffmpeg-api-test-'));
+  process.chdir(scratchDir);
+  setup();
+
+  const server = require('..');
+  return new Promise((resolve) => {
+    const listener = server.app.listen(0, '127.0.0.1', () => {
+      resolve({
+        ...server,
+        baseUrl: `http://127.0.0.1:${listener.address().port}`,
+        close: () => {
+          listener.closeAllConnections();
+          return new Promise((done) => listener.close(() => {
+            fs.rmSync(scratchDir, { recursive: true, force: true });
+            done();
+          }));
+        }
+      });
+    });
+  });
+}
+
+// Multipart body with a small fake video and the given fields
+function mediaForm(fields = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.alloc(1024)], { type: 'video/mp4' }), 'input.mp4');
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, String(value));
+  }
+  return form;
+}
+
+module.exports = { startServer, mediaForm };
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer, mediaForm } = require('./helpers');
+
+let server;
+
+before(async () => {
+  // The keys file is read from the working directory when the module loads
+  const keys = [
+    { name: 'alice', key: 'alice-key', concurrentJobs: 1 },
+    { name: 'bob', key: 'bob-key' },
+    { name: 'limited', key: 'limited-key', requestsPerMinute: 2 }
+  ];
+  server = await startServer({ FAKE_FFMPEG_DELAY: '500', API_KEYS_FILE: 'keys.json' }, () => {
+    fs.writeFileSync('keys.json', JSON.stringify(keys));
+  });
+});
+
+after(() => server.close());
+
+function request(path, key, options = {}) {
+  return fetch(`${server.baseUrl}${path}`, { ...options, headers: { 'X-API-Key': key, ...options.headers } });
+}
+
+function submitJob(key) {
+  return request('/convert', key, { method: 'POST', body: mediaForm({ format: 'webm', async: 'true' }) });
+}
+
+async function waitForJob(jobId, key) {
+  for (;;) {
+    const job = await (await request(`/jobs/${jobId}`, key)).json();
+    if (!['queued', 'running'].includes(job.state)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+test('requests without a valid key get 401', async () => {
+  assert.strictEqual((await fetch(`${server.baseUrl}/jobs/unknown`)).status, 401);
+  assert.strictEqual((await request('/jobs/unknown', 'wrong-key')).status, 401);
+});
+
+test('jobs are only visible to the key that created them', async () => {
+  const res = await submitJob('alice-key');
+  assert.strictEqual(res.status, 202);
+  const { jobId } = await res.json();
+
+  for (const path of [`/jobs/${jobId}`, `/jobs/${jobId}/events`, `/jobs/${jobId}/result`]) {
+    const other = await request(path, 'bob-key');
+    assert.strictEqual(other.status, 404, path);
+    assert.strictEqual((await other.json()).error.code, 'NOT_FOUND');
+  }
+  assert.strictEqual((await request(`/jobs/${jobId}`, 'bob-key', { method: 'DELETE' })).status, 404);
+
+  const job = await waitForJob(jobId, 'alice-key');
+  assert.strictEqual(job.state, 'completed');
+  const result = await request(`/jobs/${jobId}/result`, 'alice-key');
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(await result.text(), 'data');
+  assert.strictEqual((await request(`/jobs/${jobId}`, 'alice-key', { method: 'DELETE' })).status, 200);
+});
+
+test('files served from /pipelines/<jobId>/ are only visible to the key that created the job', async () => {
+  const form = mediaForm({ output: 'json', steps: JSON.stringify([{ op: 'convert', format: 'webm' }]) });
+  const res = await request('/pipeline', 'alice-key', { method: 'POST', body: form });
+  assert.strictEqual(res.status, 200);
+  const { manifest } = await res.json();
+
+  assert.strictEqual((await fetch(`${server.baseUrl}${manifest}`)).status, 401);
+  assert.strictEqual((await request(manifest, 'bob-key')).status, 404);
+  const own = await request(manifest, 'alice-key');
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual((await own.json()).steps.length, 1);
+});
+
+test('a key over its concurrent job limit gets 429 with Retry-After', async () => {
+  const first = await submitJob('alice-key');
+  assert.strictEqual(first.status, 202);
+  const { jobId } = await first.json();
+
+  const second = await submitJob('alice-key');
+  assert.strictEqual(second.status, 429);
+  assert.ok(Number(second.headers.get('Retry-After')) > 0);
+  assert.strictEqual((await second.json()).error.code, 'RATE_LIMITED');
+
+  // Other keys have slots of their own
+  const other = await submitJob('bob-key');
+  assert.strictEqual(other.status, 202);
+
+  await waitForJob(jobId, 'alice-key');
+  const next = await submitJob('alice-key');
+  assert.strictEqual(next.status, 202);
+
+  await waitForJob((await other.json()).jobId, 'bob-key');
+  await waitForJob((await next.json()).jobId, 'alice-key');
+});
+
+test('a key over its request rate gets 429 with Retry-After', async () => {
+  assert.strictEqual((await request('/jobs/unknown', 'limited-key')).status, 404);
+  assert.strictEqual((await request('/jobs/unknown', 'limited-key')).status, 404);
+  const limited = await request('/jobs/unknown', 'limited-key');
+  assert.strictEqual(limited.status, 429);
+  assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer } = require('./helpers');
+
+let server;
+let fileServer;
+let fileRequests = 0;
+
+before(async () => {
+  server = await startServer({ REMOTE_HOST_ALLOWLIST: 'media.example.com, *.cdn.example.net, localhost' });
+  fileServer = http.createServer((req, res) => {
+    fileRequests++;
+    res.end(Buffer.alloc(1024));
+  });
+  await new Promise((resolve) => fileServer.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  fileServer.close();
+  await server.close();
+});
+
+test('isPrivateAddress covers loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.strictEqual(server.isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700::1111']) {
+    assert.strictEqual(server.isPrivateAddress(address), false, address);
+  }
+  assert.strictEqual(server.isPrivateAddress('media.example.com'), false);
+});
+
+test('isHostAllowed applies exact and wildcard allowlist entries', () => {
+  assert.strictEqual(server.isHostAllowed('media.example.com'), true);
+  assert.strictEqual(server.isHostAllowed('MEDIA.example.com'), true);
+  assert.strictEqual(server.isHostAllowed('eu.cdn.example.net'), true);
+  assert.strictEqual(server.isHostAllowed('cdn.example.net'), false);
+  assert.strictEqual(server.isHostAllowed('other.example.com'), false);
+  assert.strictEqual(server.isHostAllowed('media.example.com.evil.test'), false);
+});
+
+test('isHostAllowed refuses private IP literals', () => {
+  assert.strictEqual(server.isHostAllowed('127.0.0.1'), false);
+  assert.strictEqual(server.isHostAllowed('[::1]'), false);
+  assert.strictEqual(server.isHostAllowed('169.254.169.254'), false);
+});
+
+test('lookupPublicHost fails with 403 for names that resolve to private addresses', async () => {
+  const err = await new Promise((resolve) => server.lookupPublicHost('localhost', {}, resolve));
+  assert.strictEqual(err.statusCode, 403);
+  assert.match(err.message, /resolves to a private address/);
+});
+
+test('remote inputs on hosts outside the allowlist are rejected with 403', async () => {
+  const res = await fetch(`${server.baseUrl}/probe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: 'http://other.example.com/video.mp4' })
+  });
+  assert.strictEqual(res.status, 403);
+});
+
+test('allowed names that resolve to private addresses are never fetched', async () => {
+  const res = await fetch(`${server.baseUrl}/probe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: `http://localhost:${fileServer.address().port}/video.mp4` })
+  });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(fileRequests, 0);
+});
@@ -0,0 +1,25 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, mediaForm } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer({ STRICT_VALIDATION: 'true' });
+});
+
+after(() => server.close());
+
+test('unknown fields are rejected in strict mode', async () => {
+  const res = await fetch(`${server.baseUrl}/convert`, { method: 'POST', body: mediaForm({ format: 'webm', foramt: 'mp4' }) });
+  assert.strictEqual(res.status, 400);
+  const { error } = await res.json();
+  assert.strictEqual(error.code, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(error.details, [{ field: 'foramt', message: 'Unknown field' }]);
+});
+
+test('the OpenAPI document disallows additional properties in strict mode', async () => {
+  const document = await (await fetch(`${server.baseUrl}/openapi.json`)).json();
+  const schema = document.paths['/convert'].post.requestBody.content['application/json'].schema;
+  assert.strictEqual(schema.additionalProperties, false);
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer, mediaForm } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+function convert(fields) {
+  return fetch(`${server.baseUrl}/convert`, { method: 'POST', body: mediaForm(fields) });
+}
+
+async function validationDetails(res) {
+  assert.strictEqual(res.status, 400);
+  const { error } = await res.json();
+  assert.strictEqual(error.code, 'VALIDATION_FAILED');
+  return error.details;
+}
+
+test('unknown fields are ignored', async () => {
+  const res = await convert({ format: 'webm', foramt: 'mp4', clientVersion: '2.1' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(await res.text(), 'data');
+});
+
+test('values outside an enum are rejected with the allowed values', async () => {
+  const details = await validationDetails(await convert({ format: 'exe' }));
+  assert.strictEqual(details.length, 1);
+  assert.strictEqual(details[0].field, 'format');
+  assert.match(details[0].message, /Expected one of mp4, /);
+});
+
+test('numbers are checked for type and range', async () => {
+  const details = await validationDetails(await convert({ crf: 'high', width: '8' }));
+  assert.deepStrictEqual(details, [
+    { field: 'crf', message: 'Expected an integer' },
+    { field: 'width', message: 'Expected a value between 16 and 7680' }
+  ]);
+});
+
+test('booleans accept true/false and 1/0 only', async () => {
+  const details = await validationDetails(await convert({ format: 'webm', async: 'yes' }));
+  assert.deepStrictEqual(details, [{ field: 'async', message: 'Expected true or false' }]);
+
+  const res = await convert({ format: 'webm', async: '1' });
+  assert.strictEqual(res.status, 202);
+  const { jobId } = await res.json();
+  // Let the job finish before the scratch directory goes away
+  while (['queued', 'running'].includes((await (await fetch(`${server.baseUrl}/jobs/${jobId}`)).json()).state)) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+});
+
+test('time fields must look like seconds or [hh:]mm:ss', async () => {
+  const res = await fetch(`${server.baseUrl}/trim`, { method: 'POST', body: mediaForm({ start: '1:30', end: 'soon' }) });
+  const details = await validationDetails(res);
+  assert.deepStrictEqual(details.map((problem) => problem.field), ['end']);
+});
+
+test('required fields are reported when missing', async () => {
+  const res = await fetch(`${server.baseUrl}/probe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ view: 'summary' })
+  });
+  assert.deepStrictEqual(await validationDetails(res), [{ field: 'url', message: 'Required' }]);
+});
+
+test('rejected uploads are removed', async () => {
+  await validationDetails(await convert({ format: 'exe' }));
+  assert.deepStrictEqual(fs.readdirSync('uploads'), []);
+});